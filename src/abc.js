@@ -0,0 +1,801 @@
+/**
+ * ABC notation (abcnotation.com, v2.1 subset): parsing into timed notes and
+ * formatting timed notes back into a tune.
+ *
+ * Times and lengths are in whole notes. Pure text handling — nothing here
+ * knows about Midi objects; the engine converts to and from ticks.
+ */
+
+import { DYNAMICS, MAJOR_KEYS, MINOR_KEYS, normalizeMode } from './theory.js';
+
+const LETTER_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const LETTER_FIFTHS = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+const SHARP_ORDER = 'FCGDAEB';
+
+/** Fifths relative to the major key on the same tonic. */
+const MODE_FIFTHS = {
+  major: 0, ionian: 0, lydian: 1, mixolydian: -1, dorian: -2, minor: -3, aeolian: -3, phrygian: -4, locrian: -5,
+};
+
+const MODE_ABBREVIATIONS = {
+  '': 'major', m: 'minor', min: 'minor', maj: 'major', ion: 'major', dor: 'dorian', phr: 'phrygian',
+  lyd: 'lydian', mix: 'mixolydian', aeo: 'minor', loc: 'locrian',
+};
+
+const EPSILON = 1e-9;
+
+// ── Fields ───────────────────────────────────────────────────────────────────
+
+/**
+ * Parse an M: field ("6/8", "C", "C|", "2+3/8", "none") into [num, den] or null.
+ */
+function parseMeter(text) {
+  const t = text.trim();
+  if (!t || /^none$/i.test(t)) return null;
+  if (t === 'C') return [4, 4];
+  if (t === 'C|') return [2, 2];
+  const match = t.match(/^\(?([\d+]+)\)?\s*\/\s*(\d+)$/);
+  if (!match) throw new Error(`Invalid meter "M:${text}".`);
+  const num = match[1].split('+').reduce((sum, n) => sum + Number(n), 0);
+  return [num, Number(match[2])];
+}
+
+/** Parse an L: field ("1/8") into a length in whole notes. */
+function parseUnitLength(text) {
+  const match = text.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match) throw new Error(`Invalid unit note length "L:${text}".`);
+  return Number(match[1]) / Number(match[2]);
+}
+
+/**
+ * Parse a Q: field ("1/4=120", "3/8=80", "\"Allegro\" 1/4=132", or a bare
+ * number counted in unit lengths) into quarter-note BPM, or null.
+ */
+function parseTempo(text, unit) {
+  const t = text.replace(/"[^"]*"/g, '').trim();
+  if (!t) return null;
+  const match = t.match(/^((?:\d+\/\d+\s*)+)=\s*(\d+(?:\.\d+)?)$/);
+  if (match) {
+    const beat = match[1].trim().split(/\s+/).reduce((sum, f) => {
+      const [n, d] = f.split('/').map(Number);
+      return sum + n / d;
+    }, 0);
+    return Number(match[2]) * beat * 4;
+  }
+  const bare = t.match(/^(?:C\s*=\s*)?(\d+(?:\.\d+)?)$/);
+  if (bare) return Number(bare[1]) * unit * 4;
+  throw new Error(`Invalid tempo "Q:${text}".`);
+}
+
+/**
+ * Parse a K: field ("G", "Am", "D dorian", "Bb mix", "none", "D exp ^f ^c")
+ * into { tonic, mode, fifths, accidentals: { letter: alter } }.
+ */
+function parseAbcKey(text) {
+  const t = text.replace(/\b\w+\s*=\s*("[^"]*"|\S+)/g, '').trim();
+  if (!t || /^none\b/i.test(t)) return { tonic: 'C', mode: 'major', fifths: 0, accidentals: {} };
+  if (/^HP\b/.test(t)) return { tonic: 'D', mode: 'mixolydian', fifths: 0, accidentals: {} };
+  if (/^Hp\b/.test(t)) return { tonic: 'D', mode: 'mixolydian', fifths: 2, accidentals: { F: 1, C: 1 } };
+
+  const match = t.match(/^([A-G])([#b]?)\s*([A-Za-z]*)\s*(.*)$/);
+  if (!match) throw new Error(`Invalid key "K:${text}".`);
+  const [, letter, acc, modeWord, rest] = match;
+  let mode;
+  if (/^exp$/i.test(modeWord)) {
+    mode = 'major';
+  } else {
+    mode = MODE_ABBREVIATIONS[modeWord.slice(0, 3).toLowerCase()];
+    if (!mode) throw new Error(`Unknown mode "${modeWord}" in "K:${text}".`);
+  }
+  const fifths = LETTER_FIFTHS[letter] + (acc === '#' ? 7 : acc === 'b' ? -7 : 0) + MODE_FIFTHS[mode];
+  if (Math.abs(fifths) > 7) throw new Error(`"K:${text}" needs more than 7 sharps or flats.`);
+
+  const accidentals = /^exp$/i.test(modeWord) ? {} : signatureAccidentals(fifths);
+  for (const [, sign, l] of rest.matchAll(/(\^\^|\^|__|_|=)([A-Ga-g])/g)) {
+    accidentals[l.toUpperCase()] = { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 }[sign];
+  }
+  return { tonic: `${letter}${acc}`, mode: normalizeMode(mode), fifths, accidentals };
+}
+
+/** Letter → alteration for a key signature of `fifths` sharps (+) or flats (-). */
+function signatureAccidentals(fifths) {
+  const accidentals = {};
+  const letters = fifths >= 0 ? SHARP_ORDER.slice(0, fifths) : [...SHARP_ORDER].reverse().join('').slice(0, -fifths);
+  for (const l of letters) accidentals[l] = fifths >= 0 ? 1 : -1;
+  return accidentals;
+}
+
+// ── Parsing ──────────────────────────────────────────────────────────────────
+
+/**
+ * Split a document into tunes and pick one by its X: number (default: first).
+ */
+function selectTune(text, tune) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const tunes = [];
+  let current = null;
+  for (const line of lines) {
+    const x = line.match(/^X:\s*(\d+)/);
+    if (x) {
+      current = { number: Number(x[1]), lines: [] };
+      tunes.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  if (!tunes.length) return lines;
+  if (tune === undefined) return tunes[0].lines;
+  const found = tunes.find(t => t.number === tune);
+  if (!found) throw new Error(`No tune X:${tune}. Available: ${tunes.map(t => t.number).join(', ')}.`);
+  return found.lines;
+}
+
+/** Read a length suffix ("3", "/2", "//", "3/2") as a multiplier. */
+function readLength(text) {
+  const match = text.match(/^(\d*)(\/*)(\d*)/);
+  const [whole, num, slashes, den] = match;
+  let value = num ? Number(num) : 1;
+  if (slashes.length === 1 && den) value /= Number(den);
+  else if (slashes.length) value /= 2 ** slashes.length;
+  return { value, length: whole.length };
+}
+
+/** Default tuplet "q" (time of q notes) for (p, per ABC 2.1. */
+function tupletQ(p, meter) {
+  const compound = meter && meter[0] % 3 === 0 && meter[0] > 3;
+  if (p === 2 || p === 4 || p === 8) return 3;
+  if (p === 3 || p === 6) return 2;
+  return compound ? 3 : 2;
+}
+
+function newVoice(id, name) {
+  return { id, name: name || `Voice ${id}`, program: undefined, percussion: false, tokens: [] };
+}
+
+/**
+ * Tokenize one tune into per-voice token streams, resolving pitches, lengths,
+ * tuplets and broken rhythms in written order.
+ */
+function tokenizeTune(lines) {
+  const header = { title: undefined, composer: undefined, meter: [4, 4], unit: undefined, tempo: null, key: null };
+  const voices = new Map();
+  const warnings = [];
+  let inBody = false;
+  let voice = null;
+  // Per-voice written-order state
+  const states = new Map();
+
+  const useVoice = (id, name) => {
+    if (!voices.has(id)) {
+      voices.set(id, newVoice(id, name));
+      states.set(id, {
+        unit: header.unit ?? defaultUnit(header.meter),
+        meter: header.meter,
+        key: header.key ?? parseAbcKey('C'),
+        measureAccidentals: {},
+        tuplet: null,
+        broken: 1,
+        velocity: 80,
+      });
+    } else if (name) {
+      voices.get(id).name = name;
+    }
+    voice = voices.get(id);
+    return voice;
+  };
+
+  const applyField = (field, value) => {
+    const state = voice && states.get(voice.id);
+    if (field === 'K') {
+      const key = parseAbcKey(value);
+      if (state) {
+        state.key = key;
+        voice.tokens.push({ type: 'field', field, value: key });
+      }
+    } else if (field === 'M') {
+      const meter = parseMeter(value);
+      if (state) {
+        state.meter = meter;
+        voice.tokens.push({ type: 'field', field, value: meter });
+      }
+    } else if (field === 'L') {
+      if (state) state.unit = parseUnitLength(value);
+    } else if (field === 'Q') {
+      const bpm = parseTempo(value, state?.unit ?? defaultUnit(header.meter));
+      if (state && bpm) voice.tokens.push({ type: 'field', field, value: bpm });
+    }
+  };
+
+  for (let raw of lines) {
+    const directive = raw.match(/^%%MIDI\s+(program|channel)\s+(\d+)/i);
+    if (directive) {
+      if (!voice && inBody) useVoice('1');
+      const target = voice ?? (voices.size ? [...voices.values()].pop() : null);
+      if (target) {
+        if (/program/i.test(directive[1])) target.program = Number(directive[2]);
+        else target.percussion = Number(directive[2]) === 10;
+      }
+      continue;
+    }
+    const line = raw.replace(/(^|[^\\])%.*$/, '$1').trimEnd();
+    if (!line.trim()) continue;
+
+    const field = line.match(/^([A-Za-z]):\s*(.*)$/);
+    if (field) {
+      const [, name, value] = field;
+      if (!inBody) {
+        if (name === 'T' && header.title === undefined) header.title = value.trim();
+        else if (name === 'C' && header.composer === undefined) header.composer = value.trim();
+        else if (name === 'M') header.meter = parseMeter(value);
+        else if (name === 'L') header.unit = parseUnitLength(value);
+        else if (name === 'Q') header.tempo = value;
+        else if (name === 'V') {
+          const id = value.trim().split(/\s+/)[0];
+          const title = value.match(/(?:name|nm)\s*=\s*"([^"]*)"/);
+          if (!voices.has(id)) voices.set(id, null);
+          if (title) voices.set(id, { pending: true, name: title[1] });
+        } else if (name === 'K') {
+          header.key = parseAbcKey(value);
+          inBody = true;
+          // Voices declared in the header are created now, with the header defaults
+          const declared = [...voices.entries()];
+          voices.clear();
+          for (const [id, info] of declared) useVoice(id, info?.name);
+          voice = null;
+        }
+      } else if (name === 'V') {
+        const id = value.trim().split(/\s+/)[0];
+        const title = value.match(/(?:name|nm)\s*=\s*"([^"]*)"/);
+        useVoice(id, title?.[1]);
+      } else if ('KMLQ'.includes(name)) {
+        if (!voice) useVoice(voices.size ? voices.keys().next().value : '1');
+        applyField(name, value);
+      }
+      // Lyrics (w:/W:) and other fields are not part of the music
+      continue;
+    }
+
+    if (!inBody) continue;
+    if (!voice) useVoice(voices.size ? voices.keys().next().value : '1');
+    tokenizeMusic(line, voice, states, applyField, useVoice, warnings);
+  }
+
+  if (!inBody) throw new Error('No K: field found; ABC tunes need a header ending in K:.');
+  return { header, voices: [...voices.values()].filter(v => v && v.tokens.length), warnings };
+}
+
+function defaultUnit(meter) {
+  return meter && meter[0] / meter[1] < 0.75 ? 1 / 16 : 1 / 8;
+}
+
+/**
+ * Tokenize one line of music into the current voice (inline [V:] fields can
+ * switch voices mid-line).
+ */
+function tokenizeMusic(line, startVoice, states, applyField, useVoice, warnings) {
+  let voice = startVoice;
+  let state = states.get(voice.id);
+  let lastNote = null;
+  let skipOverlay = false;
+  let i = 0;
+
+  const pitchAt = (acc, letter, marks) => {
+    const upper = letter.toUpperCase();
+    let octave = letter === upper ? 4 : 5;
+    for (const m of marks) octave += m === "'" ? 1 : -1;
+    const slot = `${upper}${octave}`;
+    let alter;
+    if (acc) {
+      alter = { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 }[acc];
+      state.measureAccidentals[slot] = alter;
+    } else {
+      alter = state.measureAccidentals[slot] ?? state.key.accidentals[upper] ?? 0;
+    }
+    return (octave + 1) * 12 + LETTER_PC[upper] + alter;
+  };
+
+  // Apply tuplet and broken-rhythm factors to a note, chord or rest length
+  const scaled = (length) => {
+    let value = length * state.broken;
+    state.broken = 1;
+    if (state.tuplet) {
+      value *= state.tuplet.factor;
+      if (--state.tuplet.remaining <= 0) state.tuplet = null;
+    }
+    return value;
+  };
+
+  while (i < line.length) {
+    const rest = line.slice(i);
+    const ch = line[i];
+
+    if (skipOverlay && !/^[|:[]/.test(rest)) {
+      i++;
+      continue;
+    }
+
+    // Inline field: [K:..] [M:..] [L:..] [Q:..] [V:..]
+    const inline = rest.match(/^\[([A-Za-z]):([^\]]*)\]/);
+    if (inline) {
+      const [whole, name, value] = inline;
+      if (name === 'V') {
+        voice = useVoice(value.trim().split(/\s+/)[0]);
+        state = states.get(voice.id);
+        lastNote = null;
+      } else if ('KMLQ'.includes(name)) {
+        applyField(name, value);
+      }
+      i += whole.length;
+      continue;
+    }
+
+    // Bar lines, repeats and endings
+    const bar = rest.match(/^(\[\||:*\|[|\]]*:*|::+|:+)(\s*\[?(\d+(?:[,-]\d+)*))?/);
+    if (bar && (ch === '|' || ch === ':' || rest.startsWith('[|'))) {
+      const [whole, symbol, , ending] = bar;
+      const leading = symbol.match(/^:*/)[0].length;
+      const trailing = symbol.match(/:*$/)[0].length;
+      const repeatEnd = leading > 0 || /^::+$/.test(symbol);
+      const repeatStart = (trailing > 0 && symbol !== ':'.repeat(symbol.length)) || /^::+$/.test(symbol);
+      voice.tokens.push({
+        type: 'bar',
+        repeatEnd,
+        repeatStart,
+        section: /\|\||\]|\[/.test(symbol) || repeatEnd || repeatStart,
+      });
+      if (ending) voice.tokens.push({ type: 'ending', passes: parseEnding(ending) });
+      state.measureAccidentals = {};
+      skipOverlay = false;
+      lastNote = null;
+      i += whole.length;
+      continue;
+    }
+
+    // Endings written as [1 or [2 after a plain bar
+    const ending = rest.match(/^\[(\d+(?:[,-]\d+)*)/);
+    if (ending) {
+      voice.tokens.push({ type: 'ending', passes: parseEnding(ending[1]) });
+      i += ending[0].length;
+      continue;
+    }
+
+    // Chord
+    if (ch === '[') {
+      const close = line.indexOf(']', i);
+      if (close === -1) throw new Error(`Unclosed chord in "${line.trim()}".`);
+      const inner = line.slice(i + 1, close);
+      const pitches = [];
+      const ties = [];
+      let first;
+      for (const m of inner.matchAll(/(\^\^|\^|__|_|=)?([A-Ga-g])([',]*)(\d*\/*\d*)(-?)/g)) {
+        pitches.push(pitchAt(m[1], m[2], m[3]));
+        ties.push(Boolean(m[5]));
+        if (first === undefined) first = readLength(m[4]).value;
+      }
+      const after = readLength(line.slice(close + 1));
+      i = close + 1 + after.length;
+      if (!pitches.length) continue;
+      const tieAll = line[i] === '-';
+      if (tieAll) i++;
+      lastNote = {
+        type: 'note',
+        pitches,
+        ties: ties.map(t => t || tieAll),
+        length: scaled((first ?? 1) * after.value * state.unit),
+        velocity: state.velocity,
+      };
+      voice.tokens.push(lastNote);
+      continue;
+    }
+
+    // Note
+    const note = rest.match(/^(\^\^|\^|__|_|=)?([A-Ga-g])([',]*)(\d*\/*\d*)/);
+    if (note) {
+      const [whole, acc, letter, marks, len] = note;
+      const midi = pitchAt(acc, letter, marks);
+      i += whole.length;
+      const tie = line[i] === '-';
+      if (tie) i++;
+      lastNote = {
+        type: 'note',
+        pitches: [midi],
+        ties: [tie],
+        length: scaled(readLength(len).value * state.unit),
+        velocity: state.velocity,
+      };
+      voice.tokens.push(lastNote);
+      continue;
+    }
+
+    // Rests: z (visible), x (invisible), Z (whole measures)
+    const restMatch = rest.match(/^([zx])(\d*\/*\d*)/);
+    if (restMatch) {
+      lastNote = { type: 'rest', length: scaled(readLength(restMatch[2]).value * state.unit) };
+      voice.tokens.push(lastNote);
+      i += restMatch[0].length;
+      continue;
+    }
+    const multi = rest.match(/^Z(\d*)/);
+    if (multi) {
+      voice.tokens.push({ type: 'measures', count: multi[1] ? Number(multi[1]) : 1 });
+      i += multi[0].length;
+      continue;
+    }
+
+    // Tuplets (p:q:r
+    const tuplet = rest.match(/^\((\d+)(?::(\d*))?(?::(\d*))?/);
+    if (tuplet) {
+      const p = Number(tuplet[1]);
+      const q = tuplet[2] ? Number(tuplet[2]) : tupletQ(p, state.meter);
+      const r = tuplet[3] ? Number(tuplet[3]) : p;
+      state.tuplet = { factor: q / p, remaining: r };
+      i += tuplet[0].length;
+      continue;
+    }
+
+    // Broken rhythm: a>b dots the first and halves the second
+    const broken = rest.match(/^(>+|<+)/);
+    if (broken) {
+      const n = broken[1].length;
+      const short = 1 / 2 ** n;
+      if (lastNote) lastNote.length *= broken[1][0] === '>' ? 2 - short : short;
+      state.broken = broken[1][0] === '>' ? short : 2 - short;
+      i += n;
+      continue;
+    }
+
+    // Decorations: !f! sets the velocity from a dynamic marking
+    if (ch === '!' || ch === '+') {
+      const close = line.indexOf(ch, i + 1);
+      const name = close === -1 ? '' : line.slice(i + 1, close);
+      if (DYNAMICS[name] !== undefined) state.velocity = DYNAMICS[name];
+      i = close === -1 ? line.length : close + 1;
+      continue;
+    }
+    // Chord symbols and annotations
+    if (ch === '"') {
+      const close = line.indexOf('"', i + 1);
+      i = close === -1 ? line.length : close + 1;
+      continue;
+    }
+    // Grace notes are ornaments; they take no time
+    if (ch === '{') {
+      const close = line.indexOf('}', i);
+      i = close === -1 ? line.length : close + 1;
+      continue;
+    }
+    if (ch === '&') {
+      warnings.push('Voice overlay (&) is not supported; overlaid notes were skipped.');
+      skipOverlay = true;
+      i++;
+      continue;
+    }
+    if (ch === '-') {
+      if (lastNote?.type === 'note') lastNote.ties = lastNote.ties.map(() => true);
+      i++;
+      continue;
+    }
+    // Spacing, slurs, beaming, single-character decorations, line continuation
+    if (/[\s`()y.~H-Wh-w\\\]]/.test(ch)) {
+      i++;
+      continue;
+    }
+    warnings.push(`Skipped unrecognized character "${ch}" in "${line.trim()}".`);
+    i++;
+  }
+}
+
+function parseEnding(text) {
+  const passes = [];
+  for (const part of text.split(',')) {
+    const [a, b] = part.split('-').map(Number);
+    for (let n = a; n <= (b || a); n++) passes.push(n);
+  }
+  return passes;
+}
+
+/**
+ * Play repeats and first/second endings out into a linear token list.
+ */
+function expandRepeats(tokens) {
+  const out = [];
+  let repeatFrom = 0;
+  let pass = 1;
+  let skipping = false;
+  let inEnding = false;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'ending') {
+      inEnding = true;
+      skipping = !token.passes.includes(pass);
+      continue;
+    }
+    if (token.type === 'bar') {
+      if (!skipping) out.push(token);
+      if (token.repeatEnd) {
+        if (pass === 1) {
+          pass = 2;
+          skipping = false;
+          inEnding = false;
+          i = repeatFrom - 1;
+          continue;
+        }
+        // Second time through: carry on, so a following [2 ending plays
+        repeatFrom = i + 1;
+        skipping = false;
+        inEnding = false;
+        if (token.repeatStart || tokens[i + 1]?.type !== 'ending') pass = 1;
+        continue;
+      }
+      if (token.repeatStart) {
+        repeatFrom = i + 1;
+        pass = 1;
+        skipping = false;
+        inEnding = false;
+      } else if (token.section && inEnding) {
+        // A section bar closes the ending; later repeats count passes afresh
+        inEnding = false;
+        skipping = false;
+        pass = 1;
+      }
+      continue;
+    }
+    if (!skipping) out.push(token);
+  }
+  return out;
+}
+
+/**
+ * Parse an ABC tune. Returns { title, composer, meter, tempo, key, pickup,
+ * changes, voices, warnings } where voices are { id, name, program,
+ * percussion, notes: [{ time, duration, midi, velocity }] } and changes are
+ * [{ time, meter | tempo | key }]. All times are in whole notes, shifted so a
+ * pickup (its length is `pickup`) ends on the first bar line.
+ */
+export function parseAbc(text, opts = {}) {
+  const { header, voices, warnings } = tokenizeTune(selectTune(text, opts.tune));
+  if (!voices.length) throw new Error('The tune has no notes.');
+
+  const unit = header.unit ?? defaultUnit(header.meter);
+  const tempo = header.tempo ? parseTempo(header.tempo, unit) : null;
+  const changes = [];
+  const parsed = [];
+  let pickup = 0;
+  let padding = 0;
+
+  voices.forEach((voice, index) => {
+    let time = 0;
+    let meter = header.meter;
+    let firstBar;
+    const notes = [];
+    const held = new Map();
+
+    for (const token of expandRepeats(voice.tokens)) {
+      if (token.type === 'bar') {
+        if (firstBar === undefined) firstBar = time;
+      } else if (token.type === 'field') {
+        if (token.field === 'M') meter = token.value;
+        // Meter, tempo and key changes are global; read them from the first voice
+        if (index === 0) {
+          const name = { M: 'meter', Q: 'tempo', K: 'key' }[token.field];
+          changes.push({ time, [name]: token.value });
+        }
+      } else if (token.type === 'measures') {
+        time += token.count * (meter ? meter[0] / meter[1] : 1);
+      } else if (token.type === 'rest') {
+        time += token.length;
+        held.clear();
+      } else if (token.type === 'note') {
+        const continuing = new Map();
+        token.pitches.forEach((midi, k) => {
+          let note = held.get(midi);
+          if (note && Math.abs(note.time + note.duration - time) < EPSILON) {
+            note.duration += token.length;
+          } else {
+            note = { time, duration: token.length, midi, velocity: token.velocity };
+            notes.push(note);
+          }
+          if (token.ties[k]) continuing.set(midi, note);
+        });
+        held.clear();
+        for (const [midi, note] of continuing) held.set(midi, note);
+        time += token.length;
+      }
+    }
+
+    if (index === 0 && firstBar !== undefined && header.meter) {
+      const barLength = header.meter[0] / header.meter[1];
+      if (firstBar > EPSILON && firstBar < barLength - EPSILON) {
+        pickup = firstBar;
+        padding = barLength - firstBar;
+      }
+    }
+    parsed.push({ id: voice.id, name: voice.name, program: voice.program, percussion: voice.percussion, notes });
+  });
+
+  for (const voice of parsed) {
+    for (const note of voice.notes) note.time += padding;
+  }
+  for (const change of changes) {
+    if (change.time > EPSILON) change.time += padding;
+  }
+
+  return {
+    title: header.title,
+    composer: header.composer,
+    meter: header.meter,
+    tempo,
+    key: header.key,
+    pickup,
+    changes,
+    voices: parsed,
+    warnings: [...new Set(warnings)],
+  };
+}
+
+// ── Formatting ───────────────────────────────────────────────────────────────
+
+/** Write a length multiplier of the unit note length: "", "2", "/", "3/2". */
+function formatLength(n, d) {
+  if (d === 1) return n === 1 ? '' : String(n);
+  if (n === 1) return d === 2 ? '/' : `/${d}`;
+  return `${n}/${d}`;
+}
+
+/**
+ * Express `ratio` (length / unit length) as n/d with d a power of two up to
+ * 64, within `tolerance`. Returns null when no such fraction fits.
+ */
+function dyadic(ratio, tolerance) {
+  for (let d = 1; d <= 64; d *= 2) {
+    const n = Math.round(ratio * d);
+    if (n > 0 && Math.abs(ratio - n / d) <= tolerance) {
+      const g = gcd(n, d);
+      return [n / g, d / g];
+    }
+  }
+  return null;
+}
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+/** ABC key name for a key signature: "Eb", "F#m". */
+export function abcKeyName(key) {
+  return key.mode === 'minor' ? `${key.tonic}m` : key.tonic;
+}
+
+/**
+ * Write a pitch { letter, alter, octave } in ABC, adding an accidental only
+ * when the key and earlier accidentals in the measure don't already imply it.
+ */
+function formatPitch(pitch, keyAccidentals, measureAccidentals) {
+  const slot = `${pitch.letter}${pitch.octave}`;
+  const implied = measureAccidentals[slot] ?? keyAccidentals[pitch.letter] ?? 0;
+  let acc = '';
+  if (pitch.alter !== implied) {
+    acc = { 2: '^^', 1: '^', 0: '=', '-1': '_', '-2': '__' }[pitch.alter];
+    measureAccidentals[slot] = pitch.alter;
+  }
+  let name = pitch.octave >= 5 ? pitch.letter.toLowerCase() : pitch.letter;
+  if (pitch.octave > 5) name += "'".repeat(pitch.octave - 5);
+  if (pitch.octave < 4) name += ','.repeat(4 - pitch.octave);
+  return acc + name;
+}
+
+/**
+ * Format a tune. `tune` is { title, composer, meter, unit, tempo, key,
+ * voices } where each voice is { id, name, program, percussion, measures }
+ * and each measure is { meter?, tempo?, key?, events: [{ length, pitches?,
+ * tie?, velocity? }] } — lengths in whole notes, pitches as { letter, alter,
+ * octave }, no pitches meaning a rest. Velocities are written as dynamic
+ * decorations (!p!, !f!) where the nearest marking changes. `tolerance` is the rounding slack in whole notes.
+ * Returns { text, approximated } where approximated counts lengths that had
+ * to be rounded to fit ABC.
+ */
+export function formatAbc(tune, tolerance = 1e-6) {
+  const { unit } = tune;
+  const lines = ['X:1'];
+  if (tune.title) lines.push(`T:${tune.title}`);
+  if (tune.composer) lines.push(`C:${tune.composer}`);
+  lines.push(`M:${tune.meter ? tune.meter.join('/') : 'none'}`);
+  lines.push(`L:1/${Math.round(1 / unit)}`);
+  if (tune.tempo) lines.push(`Q:1/4=${Math.round(tune.tempo)}`);
+  const multiVoice = tune.voices.length > 1;
+  if (multiVoice) {
+    for (const v of tune.voices) lines.push(`V:${v.id} name="${v.name.replace(/"/g, "'")}"`);
+  }
+  lines.push(`K:${abcKeyName(tune.key)}`);
+
+  let approximated = 0;
+  for (const voice of tune.voices) {
+    if (multiVoice) lines.push(`V:${voice.id}`);
+    if (voice.percussion) lines.push('%%MIDI channel 10');
+    if (voice.program !== undefined) lines.push(`%%MIDI program ${voice.program}`);
+
+    // Parsing starts every voice at mf, so only departures from it are marked
+    const dynamics = { current: 'mf' };
+    let key = tune.key;
+    let keyAccidentals = signatureAccidentals(keyFifthsOf(key));
+    const bars = voice.measures.map((measure, index) => {
+      let prefix = '';
+      if (index > 0 && measure.meter) prefix += `[M:${measure.meter.join('/')}]`;
+      if (index > 0 && measure.tempo) prefix += `[Q:1/4=${Math.round(measure.tempo)}]`;
+      if (index > 0 && measure.key) {
+        key = measure.key;
+        keyAccidentals = signatureAccidentals(keyFifthsOf(key));
+        prefix += `[K:${abcKeyName(key)}]`;
+      }
+
+      const measureAccidentals = {};
+      const parts = [];
+      const events = measure.events;
+      for (let e = 0; e < events.length; e++) {
+        const event = events[e];
+        const ratio = event.length / unit;
+        let fraction = dyadic(ratio, tolerance / unit);
+        let tuplet = '';
+        if (!fraction) {
+          // Triplet lengths: 2/3 of a dyadic length, grouped with their neighbours
+          const straight = dyadic(ratio * 3 / 2, tolerance / unit);
+          if (straight) {
+            let run = 1;
+            while (e + run < events.length && !dyadic(events[e + run].length / unit, tolerance / unit)
+              && dyadic(events[e + run].length / unit * 3 / 2, tolerance / unit)) run++;
+            tuplet = run === 3 ? '(3' : `(3:2:${run}`;
+            for (let k = 0; k < run; k++) {
+              const ev = events[e + k];
+              parts.push((k === 0 ? tuplet : '') + formatEvent(ev, dyadic(ev.length / unit * 3 / 2, tolerance / unit),
+                keyAccidentals, measureAccidentals, dynamics));
+            }
+            e += run - 1;
+            continue;
+          }
+          fraction = dyadic(Math.max(1, Math.round(ratio * 64)) / 64, EPSILON);
+          approximated++;
+        }
+        parts.push(formatEvent(event, fraction, keyAccidentals, measureAccidentals, dynamics));
+      }
+      return prefix + parts.join(' ');
+    });
+
+    for (let b = 0; b < bars.length; b += 4) {
+      const chunk = bars.slice(b, b + 4).join(' | ');
+      lines.push(`${chunk} |${b + 4 >= bars.length ? ']' : ''}`);
+    }
+  }
+
+  return { text: `${lines.join('\n')}\n`, approximated };
+}
+
+function formatEvent(event, [n, d], keyAccidentals, measureAccidentals, dynamics) {
+  const length = formatLength(n, d);
+  if (!event.pitches?.length) return `z${length}`;
+  let mark = '';
+  if (event.velocity !== undefined) {
+    const dynamic = nearestDynamic(event.velocity);
+    if (dynamic !== dynamics.current) {
+      dynamics.current = dynamic;
+      mark = `!${dynamic}!`;
+    }
+  }
+  const names = event.pitches.map(p => formatPitch(p, keyAccidentals, measureAccidentals));
+  const body = names.length === 1 ? names[0] : `[${names.join('')}]`;
+  return `${mark}${body}${length}${event.tie ? '-' : ''}`;
+}
+
+/** The dynamic marking whose velocity is closest to `velocity`. */
+function nearestDynamic(velocity) {
+  let best = 'mf';
+  for (const [name, value] of Object.entries(DYNAMICS)) {
+    if (Math.abs(value - velocity) < Math.abs(DYNAMICS[best] - velocity)) best = name;
+  }
+  return best;
+}
+
+function keyFifthsOf(key) {
+  const table = key.mode === 'minor' ? MINOR_KEYS : MAJOR_KEYS;
+  return table.indexOf(key.tonic) - 7;
+}
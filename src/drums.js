@@ -0,0 +1,51 @@
+/**
+ * General MIDI percussion map (channel 10) and drum-name parsing.
+ * Pure data and functions — nothing here knows about Midi objects.
+ */
+
+/** GM channel 10 channel index (0-based). */
+export const DRUM_CHANNEL = 9;
+
+/** Canonical name for every GM percussion key, 35-81. */
+export const GM_DRUMS = {
+  35: 'acoustic_kick', 36: 'kick', 37: 'side_stick', 38: 'snare', 39: 'clap', 40: 'electric_snare',
+  41: 'low_floor_tom', 42: 'closed_hat', 43: 'high_floor_tom', 44: 'pedal_hat', 45: 'low_tom',
+  46: 'open_hat', 47: 'low_mid_tom', 48: 'high_mid_tom', 49: 'crash', 50: 'high_tom', 51: 'ride',
+  52: 'china', 53: 'ride_bell', 54: 'tambourine', 55: 'splash', 56: 'cowbell', 57: 'crash_2',
+  58: 'vibraslap', 59: 'ride_2', 60: 'high_bongo', 61: 'low_bongo', 62: 'mute_high_conga',
+  63: 'open_high_conga', 64: 'low_conga', 65: 'high_timbale', 66: 'low_timbale', 67: 'high_agogo',
+  68: 'low_agogo', 69: 'cabasa', 70: 'maracas', 71: 'short_whistle', 72: 'long_whistle',
+  73: 'short_guiro', 74: 'long_guiro', 75: 'claves', 76: 'high_wood_block', 77: 'low_wood_block',
+  78: 'mute_cuica', 79: 'open_cuica', 80: 'mute_triangle', 81: 'open_triangle',
+};
+
+/** Other common spellings, mapped to their GM key. */
+const DRUM_ALIASES = {
+  bass_drum: 36, kick_drum: 36, bd: 36,
+  rimshot: 37, rim: 37, sd: 38, snare_drum: 38, hand_clap: 39,
+  hihat: 42, hi_hat: 42, hh: 42, closed_hihat: 42, closed_hi_hat: 42, chh: 42,
+  pedal_hihat: 44, pedal_hi_hat: 44, open_hihat: 46, open_hi_hat: 46, ohh: 46,
+  floor_tom: 41, mid_tom: 47, tom: 47, hi_tom: 50,
+  crash_cymbal: 49, ride_cymbal: 51, china_cymbal: 52, splash_cymbal: 55, triangle: 81,
+};
+
+const DRUM_KEYS = {
+  ...Object.fromEntries(Object.entries(GM_DRUMS).map(([key, name]) => [name, Number(key)])),
+  ...DRUM_ALIASES,
+};
+
+/**
+ * Resolve a drum name ("kick", "closed_hat", "Crash Cymbal") to its GM key,
+ * or undefined if the name isn't a known drum.
+ */
+export function parseDrum(name) {
+  const text = String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return DRUM_KEYS[text];
+}
+
+/**
+ * Name of the GM drum on a key; keys outside the GM map fall back to "drum_<n>".
+ */
+export function drumName(midi) {
+  return GM_DRUMS[midi] ?? `drum_${midi}`;
+}
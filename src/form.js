@@ -0,0 +1,162 @@
+/**
+ * Form analysis: measure similarity, phrase segmentation, and section
+ * labels (A, B, A', …). Pure functions — the engine collects each measure's
+ * notes and maps measure indices back to measure numbers.
+ */
+
+/** Onset grid for comparing rhythms, in beats (covers sixteenths and triplets). */
+const GRID = 1 / 12;
+
+/** Phrase lengths tried when none is given, longest first. */
+const PHRASE_LENGTHS = [16, 8, 4, 2];
+
+/**
+ * Compare two measures of one part, each a list of { onset, midi } with the
+ * onset in beats from the bar line. Returns { pitch, rhythm } scores from 0
+ * to 1: rhythm counts shared onsets, pitch shared notes at the same onset.
+ * Two empty measures are identical.
+ */
+export function measureSimilarity(a, b) {
+  if (!a.length && !b.length) return { pitch: 1, rhythm: 1 };
+  if (!a.length || !b.length) return { pitch: 0, rhythm: 0 };
+  const slot = e => Math.round(e.onset / GRID);
+  const overlap = (x, y) => {
+    const counts = new Map();
+    for (const key of x) counts.set(key, (counts.get(key) ?? 0) + 1);
+    let shared = 0;
+    for (const key of y) {
+      if (counts.get(key) > 0) {
+        shared++;
+        counts.set(key, counts.get(key) - 1);
+      }
+    }
+    return (2 * shared) / (x.length + y.length);
+  };
+  const onsetsA = [...new Set(a.map(slot))];
+  const onsetsB = [...new Set(b.map(slot))];
+  return {
+    pitch: overlap(a.map(e => `${slot(e)}:${e.midi}`), b.map(e => `${slot(e)}:${e.midi}`)),
+    rhythm: overlap(onsetsA, onsetsB),
+  };
+}
+
+/**
+ * Similarity of two phrases given as [start, end) measure indices: the mean
+ * of their measures' similarities, bar by bar, scaled down when the lengths
+ * differ. `similarity(i, j)` compares two measures.
+ */
+function phraseSimilarity(p, q, similarity) {
+  const length = Math.min(p.end - p.start, q.end - q.start);
+  let total = 0;
+  for (let k = 0; k < length; k++) total += similarity(p.start + k, q.start + k);
+  return (total / length) * (length / Math.max(p.end - p.start, q.end - q.start));
+}
+
+function phrases(count, length) {
+  const list = [];
+  for (let start = 0; start < count; start += length) list.push({ start, end: Math.min(count, start + length) });
+  return list;
+}
+
+/**
+ * Share of the measures that sit in a phrase of `length` at least `minimum`
+ * similar to another phrase.
+ */
+function repetitionScore(count, length, similarity, minimum) {
+  const list = phrases(count, length);
+  let repeated = 0;
+  for (const p of list) {
+    if (list.some(q => q !== p && phraseSimilarity(p, q, similarity) >= minimum)) repeated += p.end - p.start;
+  }
+  return repeated / count;
+}
+
+/**
+ * Pick a phrase length: the longest of PHRASE_LENGTHS that explains most of
+ * what the best one does by repetition. Short phrases repeat more easily, so
+ * the best score alone would favour two-bar fragments. Lengths are scored on
+ * near-exact repeats (`exact`), since a long phrase pairing a section with a
+ * new tune in the same rhythm still looks like a variant; only when nothing
+ * repeats that closely do variants (`threshold`) count.
+ */
+export function choosePhraseLength(count, similarity, { threshold, exact }) {
+  const candidates = PHRASE_LENGTHS.filter(l => l * 2 <= count);
+  if (!candidates.length) return count;
+  let scored = candidates.map(length => ({ length, score: repetitionScore(count, length, similarity, exact) }));
+  if (scored.every(s => s.score === 0)) {
+    scored = candidates.map(length => ({ length, score: repetitionScore(count, length, similarity, threshold) }));
+  }
+  const best = Math.max(...scored.map(s => s.score));
+  return scored.find(s => s.score >= best * 0.8).length;
+}
+
+/**
+ * Split `count` measures into phrases of `length` and label them: a phrase
+ * at least `exact` similar to an earlier one repeats its label, one at least
+ * `threshold` similar is a variant (A', A'', …), anything else gets the next
+ * letter. Returns sections { start, end, label, reference, similarity,
+ * differences } where `reference` indexes the section it was compared to and
+ * `differences` lists the measures { index, reference, similarity } that are
+ * not identical to it.
+ */
+export function labelSections(count, similarity, { length, threshold, exact }) {
+  const sections = [];
+  const variants = {};
+  let letters = 0;
+  for (const phrase of phrases(count, length)) {
+    let best = null;
+    sections.forEach((other, i) => {
+      const score = phraseSimilarity(phrase, other, similarity);
+      if (!best || score > best.score + 1e-9) best = { index: i, score };
+    });
+
+    const section = { ...phrase };
+    if (best && best.score >= threshold) {
+      const reference = sections[best.index];
+      const root = reference.label.replace(/'+$/, '');
+      if (best.score >= exact) {
+        section.label = reference.label;
+      } else {
+        variants[root] = (variants[root] ?? 0) + 1;
+        section.label = root + "'".repeat(variants[root]);
+      }
+      section.reference = best.index;
+      section.similarity = best.score;
+      section.differences = [];
+      for (let k = 0; k < Math.min(phrase.end - phrase.start, reference.end - reference.start); k++) {
+        const score = similarity(phrase.start + k, reference.start + k);
+        if (score < 0.999) section.differences.push({ index: phrase.start + k, reference: reference.start + k, similarity: score });
+      }
+    } else {
+      section.label = letterName(letters++);
+      if (best) section.similarity = best.score;
+    }
+    sections.push(section);
+  }
+  return sections;
+}
+
+/** A, B, … Z, then AA, AB, … */
+function letterName(n) {
+  return n < 26 ? String.fromCharCode(65 + n) : letterName(Math.floor(n / 26) - 1) + letterName(n % 26);
+}
+
+/**
+ * Guess section roles from the labels alone: the most often stated section
+ * (three times or more) is the refrain, and a first or last section heard
+ * nowhere else is the intro or outro. Returns { label: role }.
+ */
+export function sectionRoles(sections) {
+  const roots = sections.map(s => s.label.replace(/'+$/, ''));
+  const counts = {};
+  for (const root of roots) counts[root] = (counts[root] ?? 0) + 1;
+  const roles = {};
+  const most = Math.max(...Object.values(counts));
+  const leaders = Object.keys(counts).filter(r => counts[r] === most);
+  if (most >= 3 && leaders.length === 1) roles[leaders[0]] = 'refrain';
+  if (sections.length >= 3) {
+    if (counts[roots[0]] === 1) roles[roots[0]] = 'intro';
+    if (counts[roots[roots.length - 1]] === 1) roles[roots[roots.length - 1]] = 'outro';
+  }
+  return roles;
+}
@@ -0,0 +1,142 @@
+/**
+ * Arrangement checks: General MIDI instrument ranges, overlapping notes,
+ * velocity jumps, and voice leading between parts. Pure functions on note
+ * lists ({ ticks, durationTicks, midi, velocity } as in @tonejs/midi) — the
+ * engine places findings in measures and applies the fixes.
+ */
+
+/**
+ * Playable range [low, high] of each General MIDI program as sounding MIDI
+ * pitches, or null where any pitch is fair (synths, sound effects, unpitched
+ * percussion).
+ */
+const GM_RANGES = [
+  // Piano
+  [21, 108], [21, 108], [21, 108], [21, 108], [28, 103], [28, 103], [29, 89], [29, 88],
+  // Chromatic percussion
+  [60, 108], [79, 108], [60, 96], [53, 89], [45, 96], [65, 108], [60, 77], [48, 91],
+  // Organ
+  [36, 96], [36, 96], [36, 96], [24, 108], [41, 89], [36, 93], [60, 96], [36, 93],
+  // Guitar
+  [40, 83], [40, 84], [40, 88], [40, 88], [40, 88], [40, 88], [40, 88], [52, 96],
+  // Bass
+  [28, 67], [28, 67], [28, 67], [28, 67], [28, 67], [28, 67], [24, 72], [24, 72],
+  // Strings
+  [55, 103], [48, 91], [36, 81], [28, 67], [28, 103], [28, 96], [24, 103], [36, 60],
+  // Ensemble
+  [28, 103], [28, 103], [28, 103], [28, 103], [40, 81], [40, 81], [40, 84], null,
+  // Brass
+  [52, 84], [40, 77], [26, 65], [52, 82], [34, 77], [34, 84], [36, 96], [36, 96],
+  // Reed
+  [56, 87], [49, 81], [44, 76], [36, 69], [58, 91], [52, 81], [34, 75], [50, 94],
+  // Pipe
+  [74, 108], [60, 96], [72, 98], [60, 96], [60, 84], [55, 84], [72, 96], [60, 84],
+  // Synth lead, pad, effects
+  null, null, null, null, null, null, null, null,
+  null, null, null, null, null, null, null, null,
+  null, null, null, null, null, null, null, null,
+  // Ethnic
+  [48, 77], [48, 84], [50, 79], [55, 91], [60, 88], [67, 81], [55, 103], [60, 84],
+  // Percussive
+  [72, 96], null, [52, 84], null, null, null, null, null,
+  // Sound effects
+  null, null, null, null, null, null, null, null,
+];
+
+/** The playable range { low, high } of a GM program, or null if it has none. */
+export function instrumentRange(program) {
+  const range = GM_RANGES[program];
+  return range ? { low: range[0], high: range[1] } : null;
+}
+
+/**
+ * Move a pitch by octaves into [low, high], as close to where it was as
+ * possible. Ranges narrower than an octave may leave it outside.
+ */
+export function foldIntoRange(midi, low, high) {
+  let pitch = midi;
+  while (pitch < low && pitch + 12 <= 127) pitch += 12;
+  while (pitch > high && pitch - 12 >= 0) pitch -= 12;
+  return pitch;
+}
+
+/**
+ * Notes of the same pitch that overlap: [{ first, second }] where `second`
+ * starts while `first` still sounds. On one channel only one of them can
+ * sound, so players cut the first short or leave a note hanging.
+ */
+export function sameNoteOverlaps(notes) {
+  const overlaps = [];
+  const open = new Map();
+  for (const note of [...notes].sort((a, b) => a.ticks - b.ticks || b.durationTicks - a.durationTicks)) {
+    const first = open.get(note.midi);
+    if (first && note.ticks < first.ticks + first.durationTicks) {
+      overlaps.push({ first, second: note });
+      if (note.ticks + note.durationTicks > first.ticks + first.durationTicks) open.set(note.midi, note);
+    } else {
+      open.set(note.midi, note);
+    }
+  }
+  return overlaps;
+}
+
+/**
+ * Successive onsets whose loudest notes differ in velocity by `threshold`
+ * or more (on the 0-127 scale). Returns [{ from, to, jump }].
+ */
+export function velocityJumps(notes, threshold) {
+  const onsets = [];
+  for (const note of [...notes].sort((a, b) => a.ticks - b.ticks || b.velocity - a.velocity)) {
+    if (onsets[onsets.length - 1]?.ticks !== note.ticks) onsets.push(note);
+  }
+  const jumps = [];
+  for (let i = 1; i < onsets.length; i++) {
+    const jump = Math.round(onsets[i].velocity * 127) - Math.round(onsets[i - 1].velocity * 127);
+    if (Math.abs(jump) >= threshold) jumps.push({ from: onsets[i - 1], to: onsets[i], jump });
+  }
+  return jumps;
+}
+
+/** The note of a monophonic line sounding at `ticks`, moving `cursor` forward. */
+function soundingAt(line, cursor, ticks) {
+  while (cursor.index + 1 < line.length && line[cursor.index + 1].ticks <= ticks) cursor.index++;
+  const note = line[cursor.index];
+  return note && note.ticks <= ticks && ticks < note.ticks + note.durationTicks ? note : null;
+}
+
+/**
+ * Voice-leading faults between two monophonic lines, `upper` meant to stay
+ * above `lower`: parallel fifths and octaves (unisons and compound intervals
+ * included) where both voices move the same way, and the points where the
+ * voices cross. Returns [{ type, ticks, notes: [upper, lower], from }] with
+ * type 'parallel_fifths', 'parallel_octaves' or 'voice_crossing'; `from`
+ * holds the notes a parallel moved from.
+ */
+export function voiceLeadingFaults(upper, lower) {
+  const times = [...new Set([...upper, ...lower].map(n => n.ticks))].sort((a, b) => a - b);
+  const cursors = [{ index: -1 }, { index: -1 }];
+  const faults = [];
+  let previous = null;
+  for (const ticks of times) {
+    const a = soundingAt(upper, cursors[0], ticks);
+    const b = soundingAt(lower, cursors[1], ticks);
+    if (!a || !b) {
+      previous = null;
+      continue;
+    }
+    if (a.midi < b.midi && (!previous || previous.a.midi >= previous.b.midi)) {
+      faults.push({ type: 'voice_crossing', ticks, notes: [a, b] });
+    }
+    if (previous) {
+      const moveA = a.midi - previous.a.midi;
+      const moveB = b.midi - previous.b.midi;
+      const before = Math.abs(previous.a.midi - previous.b.midi) % 12;
+      const now = Math.abs(a.midi - b.midi) % 12;
+      if (moveA && moveB && Math.sign(moveA) === Math.sign(moveB) && before === now && (now === 7 || now === 0)) {
+        faults.push({ type: now === 7 ? 'parallel_fifths' : 'parallel_octaves', ticks, notes: [a, b], from: [previous.a, previous.b] });
+      }
+    }
+    previous = { a, b };
+  }
+  return faults;
+}
@@ -1,15 +1,45 @@
 import toneMidi from '@tonejs/midi';
 const { Midi } = toneMidi;
 import MidiWriter from 'midi-writer-js';
+import midiFile from 'midi-file';
+const { parseMidi, writeMidi } = midiFile;
 import { readFile, writeFile } from 'node:fs/promises';
-import { resolve } from 'node:path';
+import { extname, resolve } from 'node:path';
+import {
+  chordSymbol, estimateKey, formatKey, fromScaleDegree, identifyChord, keyFifths, MAJOR_KEYS, MINOR_KEYS,
+  MODE_SCALES, normalizeMode, parseChordSymbol, parseDynamic, parseKey, parsePitchClass, parseScale, romanNumeral, spellMidi,
+  spellPitchClass, toScaleDegree, voiceChord,
+} from './theory.js';
+import { DRUM_CHANNEL, GM_DRUMS, drumName, parseDrum } from './drums.js';
+import { formatMeasure, parseNotation } from './notation.js';
+import { formatAbc, parseAbc } from './abc.js';
+import { formatMusicXml } from './musicxml.js';
+import { encodeWav, MAX_TAIL, mixTrack, renderTrack } from './synth.js';
+import { matchLine, queryLength } from './pattern.js';
+import { choosePhraseLength, labelSections, measureSimilarity, sectionRoles } from './form.js';
+import { foldIntoRange, instrumentRange, sameNoteOverlaps, velocityJumps, voiceLeadingFaults } from './lint.js';
+import { formatPianoRoll, formatTracker, VELOCITY_SHADES } from './roll.js';
+import { formatSmpte, formatTimestamp, parseTimestamp } from './timecode.js';
 
 /**
  * In-memory store of loaded MIDI files keyed by an alias.
- * Each entry: { midi: Midi, filePath: string, dirty: boolean }
+ * Each entry: { midi: Midi, filePath: string, dirty: boolean, undoStack, redoStack,
+ *               revision: number, savedRevision: number|null }
  */
 const loaded = new Map();
 
+/** Maximum number of undo steps kept per alias. */
+const HISTORY_LIMIT = 100;
+
+/** Monotonic counter so every edited state gets a unique revision id. */
+let revisionCounter = 0;
+
+/** Monotonic counter for note ids. Ids are unique across all loaded files. */
+let noteIdCounter = 0;
+
+/** Text meta events the marker tools handle, by tool name and @tonejs/midi type. */
+const TEXT_EVENT_TYPES = { marker: 'marker', cue: 'cuePoint', lyric: 'lyrics', text: 'text' };
+
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
 function requireLoaded(alias) {
@@ -18,6 +48,109 @@ function requireLoaded(alias) {
   return entry;
 }
 
+function createEntry(midi, filePath, saved) {
+  const revision = ++revisionCounter;
+  return {
+    midi,
+    filePath,
+    dirty: !saved,
+    undoStack: [],
+    redoStack: [],
+    revision,
+    savedRevision: saved ? revision : null,
+  };
+}
+
+/**
+ * Return a note's stable id, assigning one if the note doesn't have it yet.
+ * Ids live on the Note object and are carried through cloneMidi, so they
+ * survive undo/redo.
+ */
+function noteId(note) {
+  if (note.id === undefined) note.id = `n${++noteIdCounter}`;
+  return note.id;
+}
+
+function assignNoteIds(midi) {
+  for (const track of midi.tracks) {
+    for (const note of track.notes) noteId(note);
+  }
+}
+
+/**
+ * Look up notes by id across all tracks. Throws listing any unknown ids.
+ */
+function findNotesById(midi, ids) {
+  const wanted = new Set(ids);
+  const found = new Map();
+  midi.tracks.forEach((track, trackIndex) => {
+    for (const note of track.notes) {
+      if (wanted.has(note.id)) found.set(note.id, { note, track, trackIndex });
+    }
+  });
+  const missing = ids.filter(id => !found.has(id));
+  if (missing.length) throw new Error(`Unknown note id(s): ${missing.join(', ')}. Use get_measures or search_notes to get current ids.`);
+  return found;
+}
+
+/**
+ * Deep-copy a Midi object. Midi.fromJSON drops pitch bends and note-off
+ * velocities, so tracks are rebuilt by hand.
+ */
+function cloneMidi(midi) {
+  const copy = new Midi();
+  copy.header.fromJSON(midi.header.toJSON());
+  for (const track of midi.tracks) {
+    const t = copy.addTrack();
+    t.name = track.name;
+    t.channel = track.channel;
+    t.instrument.number = track.instrument.number;
+    if (track.endOfTrackTicks !== undefined) t.endOfTrackTicks = track.endOfTrackTicks;
+    for (const note of track.notes) {
+      t.addNote({
+        id: note.id,
+        midi: note.midi,
+        ticks: note.ticks,
+        durationTicks: note.durationTicks,
+        velocity: note.velocity,
+        noteOffVelocity: note.noteOffVelocity,
+        ...(note.channel !== undefined && { channel: note.channel }),
+        ...(note.clampedFrom !== undefined && { clampedFrom: note.clampedFrom }),
+      });
+    }
+    for (const number of Object.keys(track.controlChanges)) {
+      for (const cc of track.controlChanges[number]) {
+        t.addCC({ number: cc.number, ticks: cc.ticks, value: cc.value, ...(cc.channel !== undefined && { channel: cc.channel }) });
+      }
+    }
+    for (const pb of track.pitchBends) {
+      t.addPitchBend({ ticks: pb.ticks, value: pb.value, ...(pb.channel !== undefined && { channel: pb.channel }) });
+    }
+  }
+  return copy;
+}
+
+/**
+ * Snapshot the current state before a mutating operation so it can be undone.
+ * Call after validation, right before the Midi object is changed.
+ */
+function recordEdit(entry, op, args) {
+  entry.undoStack.push({
+    op,
+    args: structuredClone(args),
+    timestamp: new Date().toISOString(),
+    midi: cloneMidi(entry.midi),
+    revision: entry.revision,
+  });
+  if (entry.undoStack.length > HISTORY_LIMIT) entry.undoStack.shift();
+  entry.redoStack = [];
+  entry.revision = ++revisionCounter;
+}
+
+function historyItem(h, index) {
+  return { index, op: h.op, args: h.args, timestamp: h.timestamp };
+}
+
 /**
  * Return the current tempo at a given tick.
  */
@@ -32,6 +165,57 @@ function tempoAtTick(midi, tick) {
   return bpm;
 }
 
+/**
+ * Convert a tick to seconds from the start, following the tempo map.
+ */
+function ticksToSeconds(midi, tick) {
+  const { ppq } = midi.header;
+  let seconds = 0;
+  let lastTick = 0;
+  let bpm = midi.header.tempos.length ? midi.header.tempos[0].bpm : 120;
+  for (const t of midi.header.tempos) {
+    if (t.ticks >= tick) break;
+    seconds += ((t.ticks - lastTick) / ppq) * (60 / bpm);
+    lastTick = t.ticks;
+    bpm = t.bpm;
+  }
+  return seconds + ((tick - lastTick) / ppq) * (60 / bpm);
+}
+
+/**
+ * Convert seconds from the start to the nearest tick, following the tempo map.
+ */
+function secondsToTicks(midi, seconds) {
+  const { ppq } = midi.header;
+  let elapsed = 0;
+  let lastTick = 0;
+  let bpm = midi.header.tempos.length ? midi.header.tempos[0].bpm : 120;
+  for (const t of midi.header.tempos) {
+    const next = elapsed + ((t.ticks - lastTick) / ppq) * (60 / bpm);
+    if (next > seconds) break;
+    elapsed = next;
+    lastTick = t.ticks;
+    bpm = t.bpm;
+  }
+  return Math.round(lastTick + ((seconds - elapsed) * bpm / 60) * ppq);
+}
+
+/**
+ * Resolve a position to a tick. `at` is a tick number, or { tick } /
+ * { measure, beat } / { time } where time is seconds or a timestamp string
+ * (see timecode.js).
+ */
+function positionToTick(midi, at) {
+  if (typeof at === 'number') return at;
+  const given = ['tick', 'measure', 'time'].filter(k => at[k] !== undefined);
+  if (given.length > 1) throw new Error(`Give one position: a tick, a measure/beat, or a time (got ${given.join(', ')}).`);
+  if (at.tick !== undefined) return at.tick;
+  if (at.measure !== undefined) return measureBeatToTicks(midi, at.measure, at.beat ?? 1).ticks;
+  if (at.time !== undefined) return secondsToTicks(midi, parseTimestamp(at.time, at.fps));
+  if (at.beat !== undefined) throw new Error('A beat needs a measure.');
+  return 0;
+}
+
 /**
  * Return the current time signature at a given tick.
  */
@@ -75,6 +259,61 @@ function measureToTicks(midi, measure) {
   return { start: currentTick, end: currentTick + tpm };
 }
 
+/**
+ * Convert a measure + beat position (both 1-based, beat may be fractional) to
+ * a tick. Also returns the beat length in ticks under that measure's meter.
+ */
+function measureBeatToTicks(midi, measure, beat) {
+  const { start } = measureToTicks(midi, measure);
+  const [, den] = timeSigAtTick(midi, start);
+  const ticksPerBeat = midi.header.ppq * (4 / den);
+  return { ticks: start + Math.round((beat - 1) * ticksPerBeat), ticksPerBeat };
+}
+
+/**
+ * Beats from the downbeat of `fromMeasure` to a tick, counting each measure
+ * in its own meter.
+ */
+function beatsFromMeasure(midi, fromMeasure, tick) {
+  const pos = tickToMeasureBeat(midi, tick);
+  let beats = pos.beat - 1;
+  for (let m = fromMeasure; m < pos.measure; m++) beats += timeSigAtTick(midi, measureToTicks(midi, m).start)[0];
+  return beats;
+}
+
+/**
+ * The position `beats` beats after the downbeat of `fromMeasure`, filling
+ * each measure by its own meter: { ticks, ticksPerBeat } as measureBeatToTicks.
+ */
+function beatsToTicks(midi, fromMeasure, beats) {
+  let measure = fromMeasure;
+  let remaining = beats;
+  let num = timeSigAtTick(midi, measureToTicks(midi, measure).start)[0];
+  while (remaining >= num - 1e-9) {
+    remaining -= num;
+    measure++;
+    num = timeSigAtTick(midi, measureToTicks(midi, measure).start)[0];
+  }
+  return measureBeatToTicks(midi, measure, Math.max(0, remaining) + 1);
+}
+
+/**
+ * Find the measure containing a tick: its number, tick span, and beat length.
+ */
+function measureAtTick(midi, tick) {
+  let start = 0;
+  let measure = 1;
+  while (true) {
+    const tpm = ticksPerMeasure(midi, start);
+    if (start + tpm > tick) {
+      const [, den] = timeSigAtTick(midi, start);
+      return { measure, start, end: start + tpm, ticksPerBeat: midi.header.ppq * (4 / den) };
+    }
+    start += tpm;
+    measure++;
+  }
+}
+
 /**
  * Convert ticks to a measure + beat position (1-based).
  */
@@ -120,22 +359,303 @@ function totalMeasures(midi) {
   return measures;
 }
 
-const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+/**
+ * Spell a MIDI note number, e.g. 63 → "D#4", or "Eb4" when given a key.
+ */
+function midiToNoteName(midiNum, key) {
+  return spellMidi(midiNum, key);
+}
+
+/**
+ * Convert a header key-signature event to { tonic, mode }. @tonejs/midi names
+ * the event by its major-key signature ("C" minor is A minor), so translate
+ * through the number of fifths.
+ */
+function keySigToKey(ks) {
+  const fifths = MAJOR_KEYS.indexOf(ks.key) - 7;
+  return ks.scale === 'minor'
+    ? { tonic: MINOR_KEYS[fifths + 7], mode: 'minor' }
+    : { tonic: ks.key, mode: 'major' };
+}
+
+/**
+ * Return the key signature in effect at a tick as { tonic, mode }, or null.
+ */
+function keyAtTick(midi, tick) {
+  const sigs = midi.header.keySignatures;
+  if (!sigs.length) return null;
+  let key = sigs[0];
+  for (const ks of sigs) {
+    if (ks.ticks <= tick) key = ks;
+    else break;
+  }
+  return keySigToKey(key);
+}
+
+/**
+ * Duration-weighted pitch-class histogram of the notes sounding in
+ * [start, end). Percussion tracks (channel 10) are skipped.
+ */
+function pitchClassWeights(midi, tracks, start = 0, end = Infinity) {
+  const weights = new Array(12).fill(0);
+  for (const track of tracks) {
+    if (track.channel === DRUM_CHANNEL) continue;
+    for (const note of track.notes) {
+      const overlap = Math.min(end, note.ticks + note.durationTicks) - Math.max(start, note.ticks);
+      if (overlap > 0) weights[note.midi % 12] += overlap / midi.header.ppq;
+    }
+  }
+  return weights;
+}
+
+/**
+ * Return a tick → key function for spelling note names: key-signature events
+ * when the file has them, otherwise one key estimated from the whole file.
+ */
+function keyResolver(midi) {
+  if (midi.header.keySignatures.length) return tick => keyAtTick(midi, tick);
+  const weights = pitchClassWeights(midi, midi.tracks);
+  const key = weights.some(w => w > 0) ? estimateKey(weights)[0] : null;
+  return () => key;
+}
+
+/**
+ * Display name for a note on a track: the GM drum name on percussion tracks,
+ * otherwise the pitch spelled for `key`.
+ */
+function noteLabel(track, midiNum, key) {
+  return track?.channel === DRUM_CHANNEL ? drumName(midiNum) : midiToNoteName(midiNum, key);
+}
+
+/**
+ * Parse a note for a track: drum names ("kick", "closed_hat") are accepted
+ * on percussion tracks, pitch names everywhere.
+ */
+function trackNoteToMidi(track, name) {
+  const drum = parseDrum(name);
+  if (drum !== undefined) {
+    if (track.channel === DRUM_CHANNEL) return drum;
+    throw new Error(`"${name}" is a drum name, but track "${track.name}" is not a drum track (channel 10).`);
+  }
+  return noteNameToMidi(name);
+}
 
-function midiToNoteName(midiNum) {
-  const octave = Math.floor(midiNum / 12) - 1;
-  const name = NOTE_NAMES[midiNum % 12];
-  return `${name}${octave}`;
+/**
+ * Summarize a note's position and properties for tool output.
+ */
+function describeNote(midi, note, keyFor = () => null, track) {
+  const pos = tickToMeasureBeat(midi, note.ticks);
+  const [, den] = timeSigAtTick(midi, note.ticks);
+  return {
+    measure: pos.measure,
+    beat: Math.round(pos.beat * 100) / 100,
+    name: noteLabel(track, note.midi, keyFor(note.ticks)),
+    velocity: Math.round(note.velocity * 127),
+    durationBeats: Math.round((note.durationTicks / midi.header.ppq) * (den / 4) * 100) / 100,
+  };
 }
 
 // ── Public API ───────────────────────────────────────────────────────────────
 
+/**
+ * Collect the marker, cue, lyric and text events of every track into the
+ * header's meta list (@tonejs/midi only reads the first track's). Lyrics
+ * remember which track they were stored with, found by its first note.
+ */
+function loadTextEvents(midi, data) {
+  const types = Object.values(TEXT_EVENT_TYPES);
+  const events = [];
+  for (const rawTrack of parseMidi(data).tracks) {
+    let ticks = 0;
+    let firstNote;
+    const found = [];
+    for (const event of rawTrack) {
+      ticks += event.deltaTime;
+      if (event.meta && types.includes(event.type)) found.push({ type: event.type, text: event.text, ticks });
+      if (!firstNote && event.type === 'noteOn' && event.velocity > 0) firstNote = { ticks, midi: event.noteNumber };
+    }
+    const owner = firstNote
+      ? midi.tracks.findIndex(t => t.notes.some(n => n.ticks === firstNote.ticks && n.midi === firstNote.midi))
+      : -1;
+    for (const e of found) events.push(e.type === 'lyrics' && owner !== -1 ? { ...e, track: owner } : e);
+  }
+  midi.header.meta = events.sort((a, b) => a.ticks - b.ticks);
+}
+
+/** The tool name ('marker', 'cue', 'lyric', 'text') of a header text event. */
+function textEventType(event) {
+  return Object.keys(TEXT_EVENT_TYPES).find(k => TEXT_EVENT_TYPES[k] === event.type);
+}
+
+/** @tonejs/midi meta types for a list of tool type names (default: all). */
+function textEventTypes(types) {
+  for (const t of types ?? []) {
+    if (!TEXT_EVENT_TYPES[t]) throw new Error(`Unknown event type "${t}". Use ${Object.keys(TEXT_EVENT_TYPES).join(', ')}.`);
+  }
+  return (types ?? Object.keys(TEXT_EVENT_TYPES)).map(t => TEXT_EVENT_TYPES[t]);
+}
+
+function describeTextEvent(midi, event) {
+  const pos = tickToMeasureBeat(midi, event.ticks);
+  return {
+    type: textEventType(event),
+    text: event.text,
+    measure: pos.measure,
+    beat: Math.round(pos.beat * 100) / 100,
+    time: formatTimestamp(ticksToSeconds(midi, event.ticks)),
+    ...(event.track !== undefined && { track: event.track }),
+  };
+}
+
+/** Markers and cue points in time order: the named sections of a file. */
+function sectionMarkers(midi) {
+  return midi.header.meta
+    .filter(e => e.type === 'marker' || e.type === 'cuePoint')
+    .sort((a, b) => a.ticks - b.ticks);
+}
+
+/** Markers, lyric and text-event counts for the file summaries. */
+function textEventSummary(midi) {
+  const markers = sectionMarkers(midi).map((e) => {
+    const { type, text, measure, beat, time } = describeTextEvent(midi, e);
+    return { text, measure, beat, time, ...(type === 'cue' && { type }) };
+  });
+  const lyrics = midi.header.meta.filter(e => e.type === 'lyrics');
+  const texts = midi.header.meta.filter(e => e.type === 'text');
+  return {
+    ...(markers.length && { markers }),
+    ...(lyrics.length && {
+      lyrics: {
+        count: lyrics.length,
+        tracks: [...new Set(lyrics.filter(e => e.track !== undefined).map(e => e.track))].sort((a, b) => a - b),
+      },
+    }),
+    ...(texts.length && { textEvents: texts.length }),
+  };
+}
+
+/** Whether a measure reference is a marker name rather than a number. */
+function isMarkerRef(ref) {
+  return typeof ref === 'string' && !/^\s*\d+\s*$/.test(ref);
+}
+
+/**
+ * Resolve a measure given as a number or a marker name: "Chorus", or
+ * "Chorus 2" for the second marker called "Chorus" when no marker has the
+ * full name; cue points work too. At the 'end' of a range a marker stands
+ * for its whole section, up to the measure before the next marker.
+ */
+function measureRef(midi, ref, edge) {
+  if (!isMarkerRef(ref)) return Number(ref);
+  const markers = sectionMarkers(midi);
+  const wanted = ref.trim().toLowerCase();
+  const named = name => markers.filter(e => e.text.trim().toLowerCase() === name);
+  let marker = named(wanted)[0];
+  const numbered = wanted.match(/^(.*?)\s*#?(\d+)$/);
+  if (!marker && numbered) marker = named(numbered[1])[Number(numbered[2]) - 1];
+  if (!marker) {
+    const names = [...new Set(markers.map(e => e.text))];
+    throw new Error(names.length
+      ? `No marker named "${ref}". Markers: ${names.join(', ')}.`
+      : `No marker named "${ref}": this file has no markers.`);
+  }
+
+  const { measure } = measureAtTick(midi, marker.ticks);
+  if (edge === 'start') return measure;
+  // Sections run to the next event of the same kind, so cues inside a marked section don't cut it short
+  const next = markers.find(e => e.ticks > marker.ticks && e.type === marker.type);
+  if (!next) return totalMeasures(midi);
+  const after = measureAtTick(midi, next.ticks);
+  return Math.max(measure, next.ticks === after.start ? after.measure - 1 : after.measure);
+}
+
+/**
+ * Match lyrics to the notes they are sung on: the note starting within a
+ * 64th of the lyric on its track (the top note of a chord). Lyrics stored
+ * without a track go to the track whose onsets line up with most of them.
+ * Returns a Map of note → lyric event.
+ */
+function lyricsByNote(midi) {
+  const sung = new Map();
+  const lyrics = midi.header.meta.filter(e => e.type === 'lyrics');
+  if (!lyrics.length) return sung;
+  const slack = midi.header.ppq / 16;
+  const tops = midi.tracks.map((track) => {
+    const list = [];
+    for (const note of [...track.notes].sort((a, b) => a.ticks - b.ticks || b.midi - a.midi)) {
+      if (list[list.length - 1]?.ticks !== note.ticks) list.push(note);
+    }
+    return list;
+  });
+  const noteAt = (ti, ticks) => {
+    const list = tops[ti];
+    let lo = 0;
+    let hi = list.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].ticks < ticks - slack) lo = mid + 1;
+      else hi = mid;
+    }
+    const near = [list[lo], list[lo + 1]].filter(n => n && Math.abs(n.ticks - ticks) <= slack);
+    return near.sort((a, b) => Math.abs(a.ticks - ticks) - Math.abs(b.ticks - ticks))[0];
+  };
+
+  const loose = lyrics.filter(e => e.track === undefined);
+  let melody;
+  if (loose.length) {
+    const hits = midi.tracks.map((t, ti) => (t.channel === DRUM_CHANNEL ? -1 : loose.filter(e => noteAt(ti, e.ticks)).length));
+    if (Math.max(...hits) > 0) melody = hits.indexOf(Math.max(...hits));
+  }
+  for (const event of lyrics) {
+    const ti = event.track ?? melody;
+    if (ti === undefined || !midi.tracks[ti]) continue;
+    const note = noteAt(ti, event.ticks);
+    if (note && !sung.has(note)) sung.set(note, event);
+  }
+  return sung;
+}
+
+/** Lyric events with the Track objects they belong to, to re-index after tracks move. */
+function lyricOwners(midi) {
+  return midi.header.meta
+    .filter(e => e.track !== undefined)
+    .map(event => ({ event, track: midi.tracks[event.track] }));
+}
+
+/**
+ * Point lyrics back at their tracks' new indices. `replace(track, event)`
+ * names the track taking over from one that was split or merged away.
+ */
+function reindexLyrics(midi, owners, replace = () => undefined) {
+  for (const { event, track } of owners) {
+    const index = midi.tracks.indexOf(replace(track, event) ?? track);
+    if (index === -1) delete event.track;
+    else event.track = index;
+  }
+}
+
+/**
+ * Insert a meta event into a midi-file track (delta times) at an absolute tick.
+ */
+function insertRawEvent(track, ticks, event) {
+  let time = 0;
+  let i = 0;
+  while (i < track.length && track[i].type !== 'endOfTrack' && time + track[i].deltaTime <= ticks) {
+    time += track[i].deltaTime;
+    i++;
+  }
+  if (i < track.length) track[i].deltaTime = Math.max(0, time + track[i].deltaTime - ticks);
+  track.splice(i, 0, { ...event, deltaTime: ticks - time });
+}
+
 export async function loadMidi(filePath, alias) {
   const absPath = resolve(filePath);
   const data = await readFile(absPath);
   const midi = new Midi(data);
+  assignNoteIds(midi);
+  loadTextEvents(midi, data);
   alias = alias || absPath;
-  loaded.set(alias, { midi, filePath: absPath, dirty: false });
+  loaded.set(alias, createEntry(midi, absPath, true));
 
   return {
     alias,
@@ -150,7 +670,9 @@ export async function loadMidi(filePath, alias) {
       signature: `${ts.timeSignature[0]}/${ts.timeSignature[1]}`,
       ticks: ts.ticks,
     })),
+    keySignatures: midi.header.keySignatures.map(ks => ({ key: formatKey(keySigToKey(ks)), ticks: ks.ticks })),
     totalMeasures: totalMeasures(midi),
+    ...textEventSummary(midi),
   };
 }
 
@@ -160,13 +682,24 @@ export function getMidiInfo(alias) {
     index: i,
     name: t.name || `Track ${i}`,
     channel: t.channel,
+    ...(noteChannels(t).length > 1 && { channels: noteChannels(t) }),
+    percussion: t.channel === DRUM_CHANNEL,
     instrument: t.instrument?.name || 'unknown',
     instrumentNumber: t.instrument?.number,
     noteCount: t.notes.length,
     pitchRange: t.notes.length
-      ? { low: midiToNoteName(Math.min(...t.notes.map(n => n.midi))),
-          high: midiToNoteName(Math.max(...t.notes.map(n => n.midi))) }
+      ? { low: noteLabel(t, Math.min(...t.notes.map(n => n.midi))),
+          high: noteLabel(t, Math.max(...t.notes.map(n => n.midi))) }
       : null,
+    controllers: controllerLists(t).map(([controller, list]) => {
+      const values = list.map(e => describeController(midi, controller, e).value);
+      return {
+        controller,
+        name: controllerName(controller),
+        count: list.length,
+        range: { min: Math.min(...values), max: Math.max(...values) },
+      };
+    }),
   }));
 
   return {
@@ -186,21 +719,42 @@ export function getMidiInfo(alias) {
       signature: `${ts.timeSignature[0]}/${ts.timeSignature[1]}`,
       ticks: ts.ticks,
     })),
+    keySignatures: midi.header.keySignatures.map(ks => ({ key: formatKey(keySigToKey(ks)), ticks: ks.ticks })),
+    ...textEventSummary(midi),
     tracks,
   };
 }
 
-export function getMeasures(alias, startMeasure, endMeasure, trackIndex) {
+/**
+ * Notes (and controllers) by measure. With `opts.drumGrid`, percussion tracks
+ * also get a sixteenth-note step grid per drum, in add_drum_pattern notation.
+ * With `opts.format === 'notation'`, each track is returned as one compact
+ * notation string instead (see notation.js).
+ */
+export function getMeasures(alias, startMeasure, endMeasure, trackIndex, opts = {}) {
   const { midi } = requireLoaded(alias);
   const total = totalMeasures(midi);
+  if (opts.startTime !== undefined && startMeasure !== undefined) throw new Error('Give a start measure or a start time, not both.');
+  if (opts.endTime !== undefined && endMeasure !== undefined) throw new Error('Give an end measure or an end time, not both.');
+  // Times select the measures that contain them
+  if (opts.startTime !== undefined) startMeasure = measureAtTick(midi, secondsToTicks(midi, parseTimestamp(opts.startTime))).measure;
+  if (opts.endTime !== undefined) endMeasure = measureAtTick(midi, secondsToTicks(midi, parseTimestamp(opts.endTime))).measure;
+  if (startMeasure === undefined) throw new Error('Give a start measure, a marker name, or a start time.');
+  // A marker name on its own selects that marker's whole section
+  endMeasure = measureRef(midi, endMeasure ?? startMeasure, 'end');
+  startMeasure = measureRef(midi, startMeasure, 'start');
   if (startMeasure < 1) startMeasure = 1;
   if (endMeasure > total) endMeasure = total;
+  const keyFor = keyResolver(midi);
+  const lyrics = lyricsByNote(midi);
+  if (opts.format === 'notation') return measuresAsNotation(midi, startMeasure, endMeasure, trackIndex, keyFor, lyrics);
 
   const measures = [];
   for (let m = startMeasure; m <= endMeasure; m++) {
     const { start, end } = measureToTicks(midi, m);
     const [num, den] = timeSigAtTick(midi, start);
     const bpm = tempoAtTick(midi, start);
+    const key = keyFor(start);
 
     const measureNotes = [];
     const tracksToScan = trackIndex !== undefined
@@ -214,33 +768,248 @@ export function getMeasures(alias, startMeasure, endMeasure, trackIndex) {
         if (note.ticks >= start && note.ticks < end) {
           const pos = tickToMeasureBeat(midi, note.ticks);
           measureNotes.push({
+            id: noteId(note),
             track: ti,
             beat: Math.round(pos.beat * 100) / 100,
-            name: midiToNoteName(note.midi),
+            name: noteLabel(track, note.midi, key),
             midi: note.midi,
             velocity: Math.round(note.velocity * 127),
             durationBeats: Math.round((note.durationTicks / midi.header.ppq) * (den / 4) * 100) / 100,
+            ...(lyrics.has(note) && { lyric: lyrics.get(note).text }),
           });
         }
       }
     }
 
     measureNotes.sort((a, b) => a.beat - b.beat || a.midi - b.midi);
+    // Lyrics show on their notes; the rest of the text events per measure
+    const sung = new Set(lyrics.values());
+    const markers = midi.header.meta
+      .filter(e => e.ticks >= start && e.ticks < end && !sung.has(e) && textEventType(e))
+      .map((e) => {
+        const { measure, ...rest } = describeTextEvent(midi, e);
+        return rest;
+      });
+
+    const controllers = [];
+    for (const track of tracksToScan) {
+      const ti = midi.tracks.indexOf(track);
+      for (const [controller, list] of controllerLists(track)) {
+        for (const event of list) {
+          if (event.ticks < start || event.ticks >= end) continue;
+          const { measure, ...rest } = describeController(midi, controller, event);
+          controllers.push({ track: ti, ...rest });
+        }
+      }
+    }
+    controllers.sort((a, b) => a.beat - b.beat || a.track - b.track);
+
+    const drumGrid = opts.drumGrid
+      ? tracksToScan
+        .filter(t => t.channel === DRUM_CHANNEL)
+        .map(t => ({ track: midi.tracks.indexOf(t), rows: drumGridRows(t, start, end, midi.header.ppq / 4) }))
+      : [];
 
     measures.push({
       measure: m,
       timeSignature: `${num}/${den}`,
       tempo: Math.round(bpm * 10) / 10,
+      key: key ? formatKey(key) : null,
+      ...(markers.length && { markers }),
       notes: measureNotes,
+      ...(controllers.length && { controllers }),
+      ...(drumGrid.length && { drumGrid }),
     });
   }
 
   return { startMeasure, endMeasure, totalMeasures: total, measures };
 }
 
+/**
+ * Notation view for getMeasures: one string per track with notes in the range,
+ * plus the meter, tempo and key wherever they change.
+ */
+function measuresAsNotation(midi, startMeasure, endMeasure, trackIndex, keyFor, lyrics) {
+  const { ppq } = midi.header;
+  const bars = [];
+  // A range past the end of the file is empty, as in the JSON view
+  if (startMeasure > endMeasure) return { startMeasure, endMeasure, totalMeasures: totalMeasures(midi), changes: [], tracks: [] };
+  for (let m = startMeasure; m <= endMeasure; m++) bars.push({ measure: m, ...measureToTicks(midi, m) });
+
+  const changes = [];
+  let previous;
+  for (const { measure, start } of bars) {
+    const [num, den] = timeSigAtTick(midi, start);
+    const key = keyFor(start);
+    const state = {
+      timeSignature: `${num}/${den}`,
+      tempo: Math.round(tempoAtTick(midi, start) * 10) / 10,
+      key: key ? formatKey(key) : null,
+    };
+    const changed = !previous || Object.keys(state).some(k => state[k] !== previous[k]);
+    if (changed) changes.push({ measure, ...state });
+    previous = state;
+  }
+
+  const tracksToScan = trackIndex !== undefined
+    ? [midi.tracks[trackIndex]].filter(Boolean)
+    : midi.tracks;
+  const tracks = [];
+  for (const track of tracksToScan) {
+    const state = { velocity: 80 };
+    const text = bars.map(({ measure, start, end }) => formatMeasure(measure, track.notes
+      .filter(n => n.ticks >= start && n.ticks < end)
+      .map(n => ({
+        start: (n.ticks - start) / ppq,
+        duration: n.durationTicks / ppq,
+        name: noteLabel(track, n.midi, keyFor(n.ticks)),
+        velocity: Math.round(n.velocity * 127),
+      })), state));
+    if (trackIndex === undefined && !track.notes.some(n => n.ticks >= bars[0].start && n.ticks < bars[bars.length - 1].end)) continue;
+    const sung = track.notes
+      .filter(n => lyrics.has(n) && n.ticks >= bars[0].start && n.ticks < bars[bars.length - 1].end)
+      .sort((a, b) => a.ticks - b.ticks)
+      .map(n => lyrics.get(n).text);
+    tracks.push({
+      track: midi.tracks.indexOf(track),
+      name: track.name,
+      notation: text.join(' | '),
+      ...(sung.length && { lyrics: sung.join(' ') }),
+    });
+  }
+
+  const sung = new Set(lyrics.values());
+  const markers = midi.header.meta
+    .filter(e => e.ticks >= bars[0].start && e.ticks < bars[bars.length - 1].end && !sung.has(e) && textEventType(e))
+    .map(e => describeTextEvent(midi, e));
+  return { startMeasure, endMeasure, totalMeasures: totalMeasures(midi), changes, ...(markers.length && { markers }), tracks };
+}
+
+/**
+ * Describe one position in every unit: tick, measure/beat, seconds, an
+ * m:ss.mmm timestamp, and SMPTE timecode at `fps`, with the tempo and time
+ * signature in effect. `at` is a tick, { measure, beat }, or { time }.
+ */
+export function convertTime(alias, at, opts = {}) {
+  const { midi } = requireLoaded(alias);
+  const fps = opts.fps ?? 30;
+  const tick = positionToTick(midi, { ...at, fps });
+  if (tick < 0) throw new Error('Positions start at tick 0.');
+  const { measure, beat } = tickToMeasureBeat(midi, tick);
+  const seconds = ticksToSeconds(midi, tick);
+  const [num, den] = timeSigAtTick(midi, tick);
+  return {
+    tick,
+    measure,
+    beat: Math.round(beat * 1000) / 1000,
+    seconds: Math.round(seconds * 1000) / 1000,
+    timestamp: formatTimestamp(seconds),
+    smpte: formatSmpte(seconds, fps),
+    fps,
+    tempo: Math.round(tempoAtTick(midi, tick) * 10) / 10,
+    timeSignature: `${num}/${den}`,
+    totalSeconds: Math.round(ticksToSeconds(midi, measureToTicks(midi, Math.max(1, totalMeasures(midi))).end) * 1000) / 1000,
+  };
+}
+
+/**
+ * Draw a track's measures as text: a piano roll (pitch rows by time columns,
+ * `view: 'roll'`) or a tracker (time rows by note columns). Columns are
+ * `resolutionBeats` long (default a sixteenth note); `low`/`high` fix the
+ * roll's pitch range, which otherwise spans the notes shown.
+ */
+export function renderPianoRoll(alias, trackIndex, measureStart, measureEnd, opts = {}) {
+  const { midi } = requireLoaded(alias);
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+  if (measureEnd < measureStart) throw new Error('measureEnd must not be before measureStart.');
+  const { view = 'roll', resolutionBeats } = opts;
+  const percussion = track.channel === DRUM_CHANNEL;
+
+  const steps = [];
+  for (let m = measureStart; m <= measureEnd; m++) {
+    const { start, end, ticksPerBeat } = measureAtTick(midi, measureToTicks(midi, m).start);
+    const stepTicks = resolutionBeats ? resolutionBeats * ticksPerBeat : midi.header.ppq / 4;
+    if (stepTicks < 1) throw new Error('resolutionBeats is finer than one tick.');
+    for (let t = start; t < end - 0.5; t += stepTicks) {
+      const offset = Math.round(t) - start;
+      steps.push({
+        tick: Math.round(t),
+        measure: m,
+        beat: offset / ticksPerBeat + 1,
+        downbeat: offset === 0,
+        onBeat: offset % ticksPerBeat === 0,
+      });
+    }
+  }
+  if (steps.length > 1024) throw new Error(`That is ${steps.length} steps; render fewer measures or use a coarser resolution.`);
+  const windowStart = steps[0].tick;
+  const windowEnd = measureToTicks(midi, measureEnd).end;
+  const stepAt = tick => {
+    let index = 0;
+    while (index + 1 < steps.length && steps[index + 1].tick <= tick) index++;
+    return index;
+  };
+
+  const key = keyResolver(midi)(windowStart);
+  const notes = track.notes
+    .filter(n => n.ticks < windowEnd && n.ticks + n.durationTicks > windowStart)
+    .map((n) => {
+      const onset = n.ticks >= windowStart;
+      const step = onset ? stepAt(n.ticks) : 0;
+      const end = n.ticks + n.durationTicks;
+      // A note ending inside the last step holds to the end of the window
+      const next = steps.findIndex(s => s.tick >= end);
+      const endStep = next === -1 ? steps.length : Math.max(step + 1, next);
+      return { row: n.midi, label: noteLabel(track, n.midi, key), step, endStep, velocity: Math.round(n.velocity * 127), onset };
+    });
+
+  let lines;
+  if (view === 'tracker') {
+    lines = formatTracker(steps, notes);
+  } else {
+    let rowKeys;
+    if (percussion) {
+      rowKeys = [...new Set(notes.map(n => n.row))].sort((a, b) => b - a);
+    } else {
+      const pitches = notes.map(n => n.row);
+      const high = opts.high !== undefined ? noteNameToMidi(opts.high) : Math.max(...pitches);
+      const low = opts.low !== undefined ? noteNameToMidi(opts.low) : Math.min(...pitches);
+      rowKeys = [];
+      if (Number.isFinite(high) && Number.isFinite(low)) {
+        for (let p = high; p >= low; p--) rowKeys.push(p);
+      }
+    }
+    lines = formatPianoRoll(steps, rowKeys.map(k => ({ key: k, label: noteLabel(track, k, key) })), notes);
+  }
+
+  return {
+    trackIndex,
+    name: track.name,
+    measureStart,
+    measureEnd,
+    view,
+    resolutionBeats: resolutionBeats ?? Math.round(100 / (4 * measureAtTick(midi, windowStart).ticksPerBeat / midi.header.ppq)) / 100,
+    noteCount: notes.length,
+    ...(view !== 'tracker' && { legend: Object.fromEntries(VELOCITY_SHADES.map(([max, ch], i) => [ch, `velocity ${i ? VELOCITY_SHADES[i - 1][0] + 1 : 1}-${max}`])) }),
+    lines,
+  };
+}
+
 export function searchNotes(alias, opts = {}) {
   const { midi } = requireLoaded(alias);
-  const { pitchMin, pitchMax, noteName, trackIndex, measureStart, measureEnd } = opts;
+  const { pitchMin, pitchMax, noteName, trackIndex } = opts;
+  // A marker name as the start alone limits the search to its section
+  const measureStart = opts.measureStart !== undefined ? measureRef(midi, opts.measureStart, 'start') : undefined;
+  const measureEnd = opts.measureEnd !== undefined || isMarkerRef(opts.measureStart)
+    ? measureRef(midi, opts.measureEnd ?? opts.measureStart, 'end')
+    : undefined;
+  const lyrics = lyricsByNote(midi);
+  const timeStart = opts.timeStart !== undefined ? parseTimestamp(opts.timeStart) : undefined;
+  const timeEnd = opts.timeEnd !== undefined ? parseTimestamp(opts.timeEnd) : undefined;
+  const drum = noteName ? parseDrum(noteName) : undefined;
+  const pitchClass = noteName && drum === undefined ? parsePitchClass(noteName) : undefined;
+  const keyFor = keyResolver(midi);
   const results = [];
 
   const tracksToScan = trackIndex !== undefined
@@ -253,7 +1022,8 @@ export function searchNotes(alias, opts = {}) {
       // Pitch filter
       if (pitchMin !== undefined && note.midi < pitchMin) continue;
       if (pitchMax !== undefined && note.midi > pitchMax) continue;
-      if (noteName && midiToNoteName(note.midi).replace(/\d+/, '') !== noteName.toUpperCase()) continue;
+      if (pitchClass !== undefined && note.midi % 12 !== pitchClass) continue;
+      if (drum !== undefined && (track.channel !== DRUM_CHANNEL || note.midi !== drum)) continue;
 
       // Measure filter
       if (measureStart !== undefined || measureEnd !== undefined) {
@@ -262,15 +1032,23 @@ export function searchNotes(alias, opts = {}) {
         if (measureEnd !== undefined && pos.measure > measureEnd) continue;
       }
 
+      // Time filter: notes sounding at any point in the window
+      const seconds = ticksToSeconds(midi, note.ticks);
+      if (timeEnd !== undefined && seconds > timeEnd) continue;
+      if (timeStart !== undefined && ticksToSeconds(midi, note.ticks + note.durationTicks) <= timeStart) continue;
+
       const pos = tickToMeasureBeat(midi, note.ticks);
       results.push({
+        id: noteId(note),
         track: ti,
         measure: pos.measure,
         beat: Math.round(pos.beat * 100) / 100,
-        name: midiToNoteName(note.midi),
+        time: formatTimestamp(seconds),
+        name: noteLabel(track, note.midi, keyFor(note.ticks)),
         midi: note.midi,
         velocity: Math.round(note.velocity * 127),
         durationTicks: note.durationTicks,
+        ...(lyrics.has(note) && { lyric: lyrics.get(note).text }),
       });
     }
   }
@@ -279,40 +1057,750 @@ export function searchNotes(alias, opts = {}) {
   return { count: results.length, notes: results.slice(0, 200) };
 }
 
-export function addNotes(alias, trackIndex, notes) {
-  const entry = requireLoaded(alias);
-  const { midi } = entry;
-  const track = midi.tracks[trackIndex];
-  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+/**
+ * Find every statement of a motif. The motif is given as `intervals`
+ * (semitones between successive notes), `notes` (note names), `rhythm`
+ * (note values in beats), intervals or notes together with a rhythm, or an
+ * `example` measure range { track, measureStart, measureEnd } whose top line
+ * is used; `match` picks what of the example must agree ('both',
+ * 'intervals', 'rhythm'). Matches are transposition-invariant unless
+ * `transpose` is false; `inversions` also finds the motif upside down, and
+ * `rhythmTolerance` (beats) allows loose timing. Each track is searched
+ * along its top line and each of its voices.
+ */
+export function findPattern(alias, opts = {}) {
+  const { midi } = requireLoaded(alias);
+  const { example, rhythm, trackIndex, measureStart, measureEnd } = opts;
+  const { transpose = true, inversions = false, rhythmTolerance = 0, match = 'both' } = opts;
+  const keyFor = keyResolver(midi);
+
+  const sources = ['intervals', 'notes', 'example'].filter(k => opts[k] !== undefined);
+  if (sources.length > 1) throw new Error(`Give only one of ${sources.join(', ')}.`);
+  if (example && rhythm) throw new Error('An example brings its own rhythm; use match="intervals" to ignore it.');
+
+  const query = {};
+  let reference;
+  let exampleNotes = new Set();
+  if (opts.intervals) {
+    query.intervals = opts.intervals;
+  } else if (opts.notes) {
+    const pitches = opts.notes.map(noteNameToMidi);
+    query.intervals = pitches.slice(1).map((p, i) => p - pitches[i]);
+    reference = pitches[0];
+  } else if (example) {
+    const track = midi.tracks[example.track];
+    if (!track) throw new Error(`Track ${example.track} does not exist.`);
+    const start = measureToTicks(midi, example.measureStart).start;
+    const end = measureToTicks(midi, example.measureEnd ?? example.measureStart).end;
+    const line = melodicLines(midi, track, start, end)[0] ?? [];
+    if (line.length < 2) throw new Error('The example needs at least two notes.');
+    // Drum "pitches" are different instruments, so a drum example is a rhythm
+    if (match !== 'rhythm' && track.channel !== DRUM_CHANNEL) query.intervals = line.slice(1).map((n, i) => n.midi - line[i].midi);
+    if (match !== 'intervals') {
+      // A drum hit has no length; the last one lasts to the end of the example
+      const last = line[line.length - 1];
+      const lastValue = last.length ?? (end - last.note.ticks) / measureAtTick(midi, last.note.ticks).ticksPerBeat;
+      query.rhythm = [...line.slice(0, -1).map(n => n.gap), lastValue].map(v => Math.round(v * 1000) / 1000);
+    }
+    reference = line[0].midi;
+    exampleNotes = new Set(line.map(n => n.note));
+  }
+  if (rhythm) query.rhythm = rhythm;
+  if (!query.intervals && !query.rhythm) throw new Error('Give intervals, notes, rhythm, or an example to search for.');
+  if (query.intervals && query.rhythm && query.rhythm.length !== query.intervals.length + 1) {
+    throw new Error(`The rhythm has ${query.rhythm.length} values but the motif has ${query.intervals.length + 1} notes.`);
+  }
+  if (queryLength(query) < 2) throw new Error('A pattern needs at least two notes.');
+  if (!transpose) {
+    if (reference === undefined) throw new Error('transpose=false needs notes or an example to fix the pitch.');
+    query.startPitch = reference;
+  }
 
-  const added = [];
-  for (const n of notes) {
-    const { measure, beat, noteName: name, velocity, durationBeats } = n;
-    // Convert measure/beat to ticks
-    const { start: measureStart } = measureToTicks(midi, measure);
-    const [, den] = timeSigAtTick(midi, measureStart);
-    const ticksPerBeat = midi.header.ppq * (4 / den);
-    const ticks = measureStart + Math.round((beat - 1) * ticksPerBeat);
-    const durationTicks = Math.round(durationBeats * ticksPerBeat);
+  const start = measureStart !== undefined ? measureToTicks(midi, measureStart).start : 0;
+  const end = measureEnd !== undefined ? measureToTicks(midi, measureEnd).end : Infinity;
+  const tracks = trackIndex !== undefined ? [trackIndex] : midi.tracks.map((t, i) => i);
+  const length = queryLength(query);
+  const matches = [];
+  for (const ti of tracks) {
+    const track = midi.tracks[ti];
+    if (!track) throw new Error(`Track ${ti} does not exist.`);
+    if (query.intervals && track.channel === DRUM_CHANNEL) continue;
+    const seen = new Set();
+    for (const line of melodicLines(midi, track, start, end)) {
+      for (const { index, form } of matchLine(line, query, { tolerance: rhythmTolerance, inversions })) {
+        const notes = line.slice(index, index + length).map(n => n.note);
+        const key = `${form}:${notes.map(noteId).join(',')}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const first = notes[0];
+        const last = notes[notes.length - 1];
+        const from = tickToMeasureBeat(midi, first.ticks);
+        const to = tickToMeasureBeat(midi, last.ticks);
+        matches.push({
+          track: ti,
+          measure: from.measure,
+          beat: Math.round(from.beat * 100) / 100,
+          time: formatTimestamp(ticksToSeconds(midi, first.ticks)),
+          endMeasure: to.measure,
+          endBeat: Math.round(to.beat * 100) / 100,
+          form,
+          ...(reference !== undefined && query.intervals && { transposition: first.midi - reference }),
+          ...(notes.every(n => exampleNotes.has(n)) && { example: true }),
+          notes: notes.map(n => noteLabel(track, n.midi, keyFor(n.ticks))).join(' '),
+          ids: notes.map(noteId),
+          ticks: first.ticks,
+        });
+      }
+    }
+  }
 
-    // Parse note name to midi number
-    const midiNum = noteNameToMidi(name);
-    const vel = (velocity !== undefined ? velocity : 80) / 127;
+  matches.sort((a, b) => a.track - b.track || a.ticks - b.ticks);
+  return {
+    pattern: {
+      ...(query.intervals && { intervals: query.intervals }),
+      ...(query.rhythm && { rhythm: query.rhythm }),
+      ...(query.startPitch !== undefined && { startNote: midiToNoteName(query.startPitch) }),
+    },
+    count: matches.length,
+    matches: matches.slice(0, 100).map(({ ticks, ...m }) => m),
+  };
+}
 
-    track.addNote({
-      midi: midiNum,
+/**
+ * Map out a piece's form: split the measures into phrases, compare them on
+ * pitch and rhythm, and label them A, B, A', … (see form.js). Drum tracks
+ * are left out unless listed in `trackIndexes`. `phraseMeasures` fixes the
+ * phrase length (otherwise 16, 8, 4 or 2, whichever shows the repetition
+ * best); `threshold` is the similarity a variant needs. With `writeMarkers`
+ * each section start gets a marker event named after its label.
+ */
+export function analyzeForm(alias, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const { trackIndexes, phraseMeasures, threshold = 0.7, writeMarkers = false } = opts;
+  const tracks = trackIndexes
+    ? trackIndexes.map((i) => {
+      if (!midi.tracks[i]) throw new Error(`Track ${i} does not exist.`);
+      return midi.tracks[i];
+    })
+    : midi.tracks.filter(t => t.channel !== DRUM_CHANNEL && t.notes.length);
+  if (!tracks.length) throw new Error('There are no notes to analyze.');
+  const measureStart = opts.measureStart ?? 1;
+  const measureEnd = opts.measureEnd ?? totalMeasures(midi);
+  const count = measureEnd - measureStart + 1;
+  if (count < 2) throw new Error('Give at least two measures to analyze.');
+
+  // Each measure's notes per track, as onsets in beats from the bar line
+  const profiles = [];
+  for (let m = measureStart; m <= measureEnd; m++) {
+    const { start, end } = measureToTicks(midi, m);
+    const { ticksPerBeat } = measureAtTick(midi, start);
+    profiles.push(tracks.map(t => t.notes
+      .filter(n => n.ticks >= start && n.ticks < end)
+      .map(n => ({ onset: (n.ticks - start) / ticksPerBeat, midi: n.midi }))));
+  }
+  const cache = new Map();
+  const similarity = (i, j) => {
+    const key = i < j ? `${i}:${j}` : `${j}:${i}`;
+    if (!cache.has(key)) {
+      let total = 0;
+      let weight = 0;
+      profiles[i].forEach((notes, t) => {
+        const w = notes.length + profiles[j][t].length;
+        if (!w) return;
+        const { pitch, rhythm } = measureSimilarity(notes, profiles[j][t]);
+        total += w * (pitch + rhythm) / 2;
+        weight += w;
+      });
+      cache.set(key, weight ? total / weight : 1);
+    }
+    return cache.get(key);
+  };
+
+  const exact = 0.95;
+  const length = phraseMeasures ?? choosePhraseLength(count, similarity, { threshold, exact });
+  const sections = labelSections(count, similarity, { length, threshold, exact });
+  const roles = sectionRoles(sections);
+  const round = x => Math.round(x * 100) / 100;
+  const span = s => `${s.label}(${measureStart + s.start}–${measureStart + s.end - 1})`;
+
+  let markers;
+  if (writeMarkers) {
+    recordEdit(entry, 'analyze_form', { ...opts, writeMarkers });
+    markers = sections.map((s) => {
+      const ticks = measureToTicks(midi, measureStart + s.start).start;
+      midi.header.meta = midi.header.meta.filter(e => !(e.type === 'marker' && e.ticks === ticks));
+      midi.header.meta.push({ type: 'marker', text: s.label, ticks });
+      return { measure: measureStart + s.start, text: s.label };
+    });
+    midi.header.meta.sort((a, b) => a.ticks - b.ticks);
+    entry.dirty = true;
+  }
+
+  return {
+    measureStart,
+    measureEnd,
+    tracks: tracks.map(t => midi.tracks.indexOf(t)),
+    phraseMeasures: length,
+    form: sections.map(span).join(' '),
+    sections: sections.map(s => ({
+      label: s.label,
+      measureStart: measureStart + s.start,
+      measureEnd: measureStart + s.end - 1,
+      ...(s.reference !== undefined && { repeats: span(sections[s.reference]) }),
+      ...(s.similarity !== undefined && { similarity: round(s.similarity) }),
+      ...(s.differences?.length && {
+        differences: s.differences.map(d => ({
+          measure: measureStart + d.index,
+          comparedTo: measureStart + d.reference,
+          similarity: round(d.similarity),
+        })),
+      }),
+    })),
+    ...(Object.keys(roles).length && { roles }),
+    ...(markers && { markers }),
+  };
+}
+
+/** Every check lint_midi knows, and the ones it can repair. */
+const LINT_CHECKS = ['range', 'drum_map', 'clamped', 'overlap', 'zero_length', 'past_end', 'velocity_jump', 'voice_leading'];
+const LINT_FIXES = ['range', 'clamped', 'overlap', 'zero_length', 'past_end'];
+
+/**
+ * Check an arrangement for common mistakes (see LINT_CHECKS): notes outside
+ * the instrument's range (lint.js has the GM table) or the GM drum map,
+ * notes clamped to 0/127 by a transposition, same-pitch overlaps,
+ * zero-length notes, notes ringing past the last bar, velocity jumps of
+ * `velocityJump` or more, and voice leading between the `voiceTracks`
+ * (checked only when two or more are given). `fix` repairs the mechanical
+ * findings — true for all of LINT_FIXES or a list of them — in one undoable
+ * edit. Findings carry a severity (error, warning, info) and position.
+ */
+export function lintMidi(alias, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const { trackIndexes, voiceTracks = [], velocityJump = 40 } = opts;
+  for (const i of [...(trackIndexes ?? []), ...voiceTracks]) {
+    if (!midi.tracks[i]) throw new Error(`Track ${i} does not exist.`);
+  }
+  const checks = opts.checks ?? LINT_CHECKS;
+  for (const c of checks) {
+    if (!LINT_CHECKS.includes(c)) throw new Error(`Unknown check "${c}". Use ${LINT_CHECKS.join(', ')}.`);
+  }
+  const fixes = opts.fix === true ? LINT_FIXES : opts.fix || [];
+  for (const f of fixes) {
+    if (!LINT_FIXES.includes(f)) throw new Error(`"${f}" can't be fixed automatically; fixable checks are ${LINT_FIXES.join(', ')}.`);
+  }
+  const keyFor = keyResolver(midi);
+  const tracks = trackIndexes ?? midi.tracks.map((t, i) => i);
+  const findings = [];
+  const find = (check, severity, ti, ticks, message, extra = {}) => {
+    const pos = tickToMeasureBeat(midi, ticks);
+    findings.push({ check, severity, track: ti, measure: pos.measure, beat: Math.round(pos.beat * 100) / 100, message, ticks, ...extra });
+  };
+  const label = (track, note) => noteLabel(track, note.midi, keyFor(note.ticks));
+
+  // The last bar is the one holding the last onset in the file
+  const lastOnset = Math.max(-1, ...midi.tracks.flatMap(t => t.notes.map(n => n.ticks)));
+  const pieceEnd = lastOnset >= 0 ? measureAtTick(midi, lastOnset).end : 0;
+
+  for (const ti of tracks) {
+    const track = midi.tracks[ti];
+    const drums = track.channel === DRUM_CHANNEL;
+    const range = drums ? null : instrumentRange(track.instrument.number);
+
+    // Out-of-range notes are grouped per measure to keep the list readable
+    const outside = (check, test, describe, fixWith) => {
+      const byMeasure = new Map();
+      for (const note of track.notes.filter(test)) {
+        const { measure } = measureAtTick(midi, note.ticks);
+        if (!byMeasure.has(measure)) byMeasure.set(measure, []);
+        byMeasure.get(measure).push(note);
+      }
+      for (const notes of byMeasure.values()) {
+        find(check, 'warning', ti, notes[0].ticks, describe(notes), {
+          ids: notes.map(noteId),
+          ...(fixWith && { fix: fixWith, apply: () => notes.forEach((n) => { n.midi = foldIntoRange(n.midi, range.low, range.high); }) }),
+        });
+      }
+    };
+    if (checks.includes('range') && range) {
+      const span = `${midiToNoteName(range.low)}–${midiToNoteName(range.high)}`;
+      outside('range', n => (n.midi < range.low || n.midi > range.high) && !isClamped(n),
+        notes => `${notes.map(n => label(track, n)).join(' ')} outside the ${track.instrument.name} range (${span})`,
+        'move by octaves into range');
+    }
+    if (checks.includes('drum_map') && drums) {
+      outside('drum_map', n => !GM_DRUMS[n.midi],
+        notes => `${notes.map(n => n.midi).join(', ')} not in the General MIDI drum map (35-81); most kits stay silent`);
+    }
+
+    for (const note of track.notes) {
+      if (checks.includes('clamped') && isClamped(note)) {
+        const pitch = foldIntoRange(note.clampedFrom, range?.low ?? 0, range?.high ?? 127);
+        find('clamped', 'error', ti, note.ticks, `${label(track, note)} was clamped by a transposition; it should be ${note.clampedFrom < 0 ? 'below' : 'above'} the MIDI range`, {
+          ids: [noteId(note)],
+          fix: `move to ${midiToNoteName(Math.max(0, Math.min(127, pitch)))}`,
+          apply: () => { clampPitch(note, pitch); },
+        });
+      }
+      if (checks.includes('zero_length') && note.durationTicks <= 0) {
+        find('zero_length', 'error', ti, note.ticks, `${label(track, note)} has no length and never sounds`, {
+          ids: [noteId(note)],
+          fix: 'delete it',
+          apply: () => { track.notes = track.notes.filter(n => n !== note); },
+        });
+      }
+      if (checks.includes('past_end') && note.ticks + note.durationTicks > pieceEnd && note.durationTicks > 0) {
+        const beats = (note.ticks + note.durationTicks - pieceEnd) / measureAtTick(midi, lastOnset).ticksPerBeat;
+        find('past_end', 'warning', ti, note.ticks, `${label(track, note)} rings ${Math.round(beats * 100) / 100} beat(s) past the last bar`, {
+          ids: [noteId(note)],
+          fix: 'end it at the last bar line',
+          apply: () => { note.durationTicks = pieceEnd - note.ticks; },
+        });
+      }
+    }
+
+    if (checks.includes('overlap')) {
+      for (const { first, second } of sameNoteOverlaps(track.notes.filter(n => n.durationTicks > 0))) {
+        const duplicate = first.ticks === second.ticks;
+        find('overlap', 'error', ti, second.ticks, duplicate
+          ? `${label(track, second)} is doubled on the same onset`
+          : `${label(track, second)} starts while the ${label(track, first)} from ${tickToMeasureBeat(midi, first.ticks).measure}:${Math.round(tickToMeasureBeat(midi, first.ticks).beat * 100) / 100} still sounds`, {
+          ids: [noteId(first), noteId(second)],
+          fix: duplicate ? 'delete the shorter note' : 'end the earlier note where the later one starts',
+          apply: () => {
+            if (duplicate) track.notes = track.notes.filter(n => n !== second);
+            else first.durationTicks = Math.min(first.durationTicks, second.ticks - first.ticks);
+          },
+        });
+      }
+    }
+
+    if (checks.includes('velocity_jump')) {
+      for (const { from, to, jump } of velocityJumps(track.notes, velocityJump)) {
+        find('velocity_jump', 'info', ti, to.ticks, `velocity ${jump > 0 ? 'jumps' : 'drops'} from ${Math.round(from.velocity * 127)} to ${Math.round(to.velocity * 127)}`, {
+          ids: [noteId(from), noteId(to)],
+        });
+      }
+    }
+  }
+
+  if (checks.includes('voice_leading') && voiceTracks.length >= 2) {
+    // Each track is one voice: its top line, ordered high to low by average pitch
+    const voices = voiceTracks
+      .map((ti) => {
+        const line = melodicLines(midi, midi.tracks[ti], 0, Infinity)[0] ?? [];
+        return { ti, line: line.map(n => n.note), average: line.reduce((sum, n) => sum + n.midi, 0) / (line.length || 1) };
+      })
+      .sort((a, b) => b.average - a.average);
+    for (let i = 0; i < voices.length; i++) {
+      for (let j = i + 1; j < voices.length; j++) {
+        const [upper, lower] = [voices[i], voices[j]];
+        for (const fault of voiceLeadingFaults(upper.line, lower.line)) {
+          const [a, b] = fault.notes;
+          const names = `${label(midi.tracks[upper.ti], a)}/${label(midi.tracks[lower.ti], b)}`;
+          const message = fault.type === 'voice_crossing'
+            ? `track ${upper.ti} crosses below track ${lower.ti} (${names})`
+            : `${fault.type === 'parallel_fifths' ? 'parallel fifths' : 'parallel octaves'} between tracks ${upper.ti} and ${lower.ti} (${label(midi.tracks[upper.ti], fault.from[0])}/${label(midi.tracks[lower.ti], fault.from[1])} to ${names})`;
+          find('voice_leading', fault.type === 'voice_crossing' ? 'info' : 'warning', upper.ti, fault.ticks, message, {
+            ids: [...(fault.from ?? []), ...fault.notes].map(noteId),
+            tracks: [upper.ti, lower.ti],
+          });
+        }
+      }
+    }
+  }
+
+  const fixable = findings.filter(f => f.apply && fixes.includes(f.check));
+  if (fixable.length) {
+    recordEdit(entry, 'lint_midi', { ...opts, fix: fixes });
+    for (const f of fixable) {
+      f.apply();
+      f.fixed = true;
+    }
+    entry.dirty = true;
+  }
+
+  const order = { error: 0, warning: 1, info: 2 };
+  findings.sort((a, b) => order[a.severity] - order[b.severity] || a.track - b.track || a.ticks - b.ticks);
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const f of findings) counts[f.severity]++;
+  return {
+    tracks,
+    checks,
+    count: findings.length,
+    counts,
+    ...(fixable.length && { fixedCount: fixable.length }),
+    findings: findings.slice(0, 200).map(({ ticks, apply, ...f }) => f),
+  };
+}
+
+/**
+ * Estimate key and mode over a measure range, optionally in windows of
+ * `windowMeasures` so modulations show up as separate segments.
+ */
+export function analyzeKey(alias, opts = {}) {
+  const { midi } = requireLoaded(alias);
+  const { trackIndexes, windowMeasures } = opts;
+  const tracks = trackIndexes ? trackIndexes.map(i => midi.tracks[i]).filter(Boolean) : midi.tracks;
+  const measureStart = opts.measureStart ?? 1;
+  const measureEnd = opts.measureEnd ?? totalMeasures(midi);
+  if (measureEnd < measureStart) throw new Error('No measures to analyze.');
+
+  const round = x => Math.round(x * 100) / 100;
+  const estimate = (from, to) => {
+    const weights = pitchClassWeights(midi, tracks, measureToTicks(midi, from).start, measureToTicks(midi, to).end);
+    if (!weights.some(w => w > 0)) return null;
+    return estimateKey(weights);
+  };
+
+  const declared = keyAtTick(midi, measureToTicks(midi, measureStart).start);
+  const overall = estimate(measureStart, measureEnd);
+  if (!overall) throw new Error(`No pitched notes in measures ${measureStart}-${measureEnd}.`);
+
+  const result = {
+    measureStart,
+    measureEnd,
+    key: formatKey(overall[0]),
+    confidence: round(overall[0].score),
+    alternatives: overall.slice(1, 4).map(k => ({ key: formatKey(k), confidence: round(k.score) })),
+    declaredKey: declared ? formatKey(declared) : null,
+  };
+
+  if (windowMeasures) {
+    const segments = [];
+    for (let m = measureStart; m <= measureEnd; m += windowMeasures) {
+      const last = Math.min(measureEnd, m + windowMeasures - 1);
+      const ranked = estimate(m, last);
+      if (!ranked) continue;
+      const key = formatKey(ranked[0]);
+      const prev = segments[segments.length - 1];
+      if (prev && prev.key === key) {
+        prev.measureEnd = last;
+        prev.scores.push(ranked[0].score);
+      } else {
+        segments.push({ measureStart: m, measureEnd: last, key, scores: [ranked[0].score] });
+      }
+    }
+    result.segments = segments.map(({ scores, ...seg }) => ({
+      ...seg,
+      confidence: round(scores.reduce((a, b) => a + b, 0) / scores.length),
+    }));
+  }
+
+  return result;
+}
+
+/**
+ * Name the chords sounding in a measure range, one reading per beat or per
+ * measure. Notes held over from earlier beats count, so harmony sustained
+ * across a barline is still seen; a note must sound for at least a quarter
+ * of the window to be part of its chord. Repeated readings are merged.
+ */
+export function analyzeChords(alias, opts = {}) {
+  const { midi } = requireLoaded(alias);
+  const { trackIndexes, resolution = 'beat' } = opts;
+  const tracks = (trackIndexes ? trackIndexes.map(i => midi.tracks[i]).filter(Boolean) : midi.tracks)
+    .filter(t => t.channel !== 9);
+  const measureStart = opts.measureStart ?? 1;
+  const measureEnd = opts.measureEnd ?? totalMeasures(midi);
+  const keyFor = keyResolver(midi);
+  const round = x => Math.round(x * 100) / 100;
+
+  const chords = [];
+  let prev = null;
+  for (let m = measureStart; m <= measureEnd; m++) {
+    const { start, end } = measureToTicks(midi, m);
+    const [, den] = timeSigAtTick(midi, start);
+    const ticksPerBeat = midi.header.ppq * (4 / den);
+    const step = resolution === 'measure' ? end - start : ticksPerBeat;
+
+    for (let ws = start; ws < end; ws += step) {
+      const we = Math.min(end, ws + step);
+      const sounding = [];
+      for (const track of tracks) {
+        for (const note of track.notes) {
+          const overlap = Math.min(we, note.ticks + note.durationTicks) - Math.max(ws, note.ticks);
+          if (overlap >= (we - ws) / 4) sounding.push(note.midi);
+        }
+      }
+      const bass = Math.min(...sounding);
+      const chord = sounding.length ? identifyChord(sounding, bass) : null;
+      if (!chord) {
+        prev = null;
+        continue;
+      }
+
+      const key = keyFor(ws);
+      const symbol = chordSymbol(chord, bass, key);
+      const durationBeats = (we - ws) / ticksPerBeat;
+      if (prev && prev.symbol === symbol) {
+        prev.durationBeats = round(prev.durationBeats + durationBeats);
+        continue;
+      }
+      const pos = tickToMeasureBeat(midi, ws);
+      prev = {
+        measure: pos.measure,
+        beat: round(pos.beat),
+        durationBeats: round(durationBeats),
+        symbol,
+        root: spellPitchClass(chord.root, key),
+        quality: chord.quality || 'maj',
+        bass: spellPitchClass(bass, key),
+        inversion: chord.inversion,
+        roman: key ? romanNumeral(chord, key) : null,
+        notes: [...new Set(sounding.sort((a, b) => a - b).map(n => spellPitchClass(n, key)))],
+      };
+      chords.push(prev);
+    }
+  }
+
+  const firstKey = keyFor(measureToTicks(midi, measureStart).start);
+  return {
+    measureStart,
+    measureEnd,
+    key: firstKey ? formatKey(firstKey) : null,
+    keySource: midi.header.keySignatures.length ? 'key signature' : 'estimated',
+    resolution,
+    chords,
+  };
+}
+
+export function addNotes(alias, trackIndex, notes) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+
+  recordEdit(entry, 'add_notes', { trackIndex, notes });
+  const added = [];
+  for (const n of notes) {
+    const { measure, beat, noteName: name, velocity, durationBeats } = n;
+    // Convert measure/beat to ticks
+    const { ticks, ticksPerBeat } = measureBeatToTicks(midi, measure, beat);
+    const durationTicks = Math.round(durationBeats * ticksPerBeat);
+
+    // Parse note name (or drum name on percussion tracks) to midi number
+    const midiNum = trackNoteToMidi(track, name);
+    const vel = (velocity !== undefined ? velocity : 80) / 127;
+    const id = `n${++noteIdCounter}`;
+
+    track.addNote({
+      id,
+      midi: midiNum,
       ticks,
       durationTicks,
       velocity: vel,
     });
 
-    added.push({ name, midi: midiNum, measure, beat, durationBeats, velocity: velocity || 80 });
+    added.push({ id, name, midi: midiNum, measure, beat, durationBeats, velocity: velocity || 80 });
   }
 
   entry.dirty = true;
   return { trackIndex, added, totalNotesInTrack: track.notes.length };
 }
 
+/**
+ * Write compact notation (see notation.js) into a track. Segments without an
+ * "m<N>:" prefix start at `opts.measure`. In 'replace' mode the notes already
+ * in the measures the notation covers are cleared first. Nothing is written
+ * unless the whole text parses.
+ */
+export function writeNotation(alias, trackIndex, text, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+  const { measure = 1, mode = 'merge', velocity = 80 } = opts;
+  if (!['merge', 'replace'].includes(mode)) throw new Error(`Unknown mode "${mode}". Use merge or replace.`);
+
+  const { ppq } = midi.header;
+  const { measures, notes } = parseNotation(text, {
+    startMeasure: measure,
+    velocity,
+    resolvePitch: name => trackNoteToMidi(track, name),
+    measureStart: m => measureToTicks(midi, m).start / ppq,
+    measureQuarters: m => {
+      const { start, end } = measureToTicks(midi, m);
+      return (end - start) / ppq;
+    },
+  });
+  if (!measures.length) throw new Error('The notation is empty.');
+
+  recordEdit(entry, 'write_notation', { trackIndex, text, ...opts });
+  let removed = 0;
+  if (mode === 'replace') {
+    const spans = measures.map(m => measureToTicks(midi, m));
+    const before = track.notes.length;
+    track.notes = track.notes.filter(n => !spans.some(({ start, end }) => n.ticks >= start && n.ticks < end));
+    removed = before - track.notes.length;
+  }
+  for (const n of notes) {
+    const ticks = Math.round(n.start * ppq);
+    track.addNote({
+      id: `n${++noteIdCounter}`,
+      midi: n.midi,
+      ticks,
+      durationTicks: Math.max(1, Math.round((n.start + n.duration) * ppq) - ticks),
+      velocity: n.velocity / 127,
+    });
+  }
+
+  entry.dirty = true;
+  return {
+    trackIndex,
+    measureStart: Math.min(...measures),
+    measureEnd: Math.max(...measures),
+    addedCount: notes.length,
+    removedCount: removed,
+    totalNotesInTrack: track.notes.length,
+  };
+}
+
+/**
+ * Enter drums step-sequencer style. `patterns` maps drum names to step
+ * strings: "X" accent, "x" hit, "o" ghost note, "." or "-" rest; spaces and
+ * "|" are ignored. Steps are sixteenth notes unless `stepBeats` is given,
+ * start at measure/beat, and run across bar lines. `repeat` plays the whole
+ * pattern (as long as its longest row) back to back.
+ */
+export function addDrumPattern(alias, trackIndex, measure, patterns, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+  if (track.channel !== DRUM_CHANNEL) {
+    throw new Error(`Track ${trackIndex} is not a drum track (channel 10). Create one with add_track drums=true.`);
+  }
+  const { beat = 1, stepBeats, repeat = 1, velocity = DRUM_HIT_VELOCITY.x } = opts;
+  if (stepBeats !== undefined && !(stepBeats > 0)) throw new Error('Step must be positive.');
+
+  const rows = Object.entries(patterns).map(([name, pattern]) => {
+    const drum = parseDrum(name);
+    if (drum === undefined) {
+      throw new Error(`Unknown drum "${name}". Try kick, snare, closed_hat, open_hat, crash, ride, clap, low_tom, high_tom.`);
+    }
+    const steps = [...pattern.replace(/[\s|]/g, '')];
+    steps.forEach((ch, i) => {
+      if (!'xXo.-'.includes(ch)) throw new Error(`Pattern for "${name}": unexpected "${ch}" at step ${i + 1}. Use X, x, o, . or -.`);
+    });
+    return { drum, steps };
+  });
+  const length = Math.max(...rows.map(r => r.steps.length));
+  if (!length) throw new Error('Patterns are empty.');
+
+  // Lay out step positions once so every row lines up, even across meter changes
+  const positions = [];
+  let t = measureBeatToTicks(midi, measure, beat).ticks;
+  for (let i = 0; i <= length * repeat; i++) {
+    positions.push(t);
+    t += Math.max(1, Math.round(stepBeats !== undefined
+      ? stepBeats * measureAtTick(midi, t).ticksPerBeat
+      : midi.header.ppq / 4));
+  }
+
+  recordEdit(entry, 'add_drum_pattern', { trackIndex, measure, patterns, ...opts });
+  let added = 0;
+  for (let r = 0; r < repeat; r++) {
+    for (const { drum, steps } of rows) {
+      steps.forEach((ch, i) => {
+        if (ch === '.' || ch === '-') return;
+        const index = r * length + i;
+        const vel = ch === 'x' ? velocity : DRUM_HIT_VELOCITY[ch];
+        track.addNote({
+          id: `n${++noteIdCounter}`,
+          midi: drum,
+          ticks: positions[index],
+          durationTicks: positions[index + 1] - positions[index],
+          velocity: vel / 127,
+        });
+        added++;
+      });
+    }
+  }
+
+  entry.dirty = true;
+  return {
+    trackIndex,
+    addedCount: added,
+    steps: length * repeat,
+    from: tickToMeasureBeat(midi, positions[0]),
+    until: tickToMeasureBeat(midi, positions[length * repeat]),
+  };
+}
+
+/**
+ * Write a chord progression into a track. Each chord is { measure, beat,
+ * symbol, durationBeats, velocity? }; opts pick the voicing, register
+ * (octave of the root), inversion and the pattern the notes are played in.
+ */
+export function addChords(alias, trackIndex, chords, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+
+  const {
+    voicing = 'close', octave = 4, inversion = 0, pattern = 'block',
+    stepBeats = 0.5, strumBeats = 0.05, velocity = 80,
+  } = opts;
+
+  if (!['block', 'strum', 'arpeggio_up', 'arpeggio_down', 'alberti'].includes(pattern)) {
+    throw new Error(`Unknown pattern "${pattern}".`);
+  }
+  if (stepBeats <= 0) throw new Error('stepBeats must be positive.');
+
+  // Voice everything first so a bad symbol leaves the track untouched
+  const planned = chords.map(c => {
+    const chord = parseChordSymbol(c.symbol);
+    const tones = voiceChord(chord, { rootMidi: (octave + 1) * 12 + chord.root, voicing, inversion });
+    if (!tones.every(t => Number.isInteger(t) && t >= 0 && t <= 127)) throw new Error(`Chord "${c.symbol}" at octave ${octave} falls outside MIDI range 0-127.`);
+    return { ...c, tones };
+  });
+
+  recordEdit(entry, 'add_chords', { trackIndex, chords, ...opts });
+  let noteCount = 0;
+  for (const c of planned) {
+    const { ticks: start, ticksPerBeat } = measureBeatToTicks(midi, c.measure, c.beat);
+    const end = start + Math.round(c.durationBeats * ticksPerBeat);
+    const vel = (c.velocity ?? velocity) / 127;
+    const add = (midiNum, ticks, until) => {
+      if (until <= ticks) return;
+      track.addNote({ id: `n${++noteIdCounter}`, midi: midiNum, ticks, durationTicks: until - ticks, velocity: vel });
+      noteCount++;
+    };
+
+    const { tones } = c;
+    if (pattern === 'block') {
+      for (const t of tones) add(t, start, end);
+    } else if (pattern === 'strum') {
+      const offset = Math.round(strumBeats * ticksPerBeat);
+      tones.forEach((t, i) => add(t, start + i * offset, end));
+    } else {
+      const sequence = {
+        arpeggio_up: tones,
+        arpeggio_down: [...tones].reverse(),
+        alberti: [tones[0], tones[tones.length - 1], tones[Math.floor((tones.length - 1) / 2)], tones[tones.length - 1]],
+      }[pattern];
+      const step = Math.round(stepBeats * ticksPerBeat);
+      for (let t = start, i = 0; t < end; t += step, i++) {
+        add(sequence[i % sequence.length], t, Math.min(end, t + step));
+      }
+    }
+  }
+
+  // Spell after writing, so a fresh file gets a key estimated from these chords
+  const keyFor = keyResolver(midi);
+  const added = planned.map(c => {
+    const key = keyFor(measureBeatToTicks(midi, c.measure, c.beat).ticks);
+    return { measure: c.measure, beat: c.beat, symbol: c.symbol, notes: c.tones.map(t => midiToNoteName(t, key)) };
+  });
+
+  entry.dirty = true;
+  return { trackIndex, added, notesAdded: noteCount, totalNotesInTrack: track.notes.length };
+}
+
 export function deleteNotes(alias, trackIndex, measureStart, measureEnd, opts = {}) {
   const entry = requireLoaded(alias);
   const { midi } = entry;
@@ -325,6 +1813,7 @@ export function deleteNotes(alias, trackIndex, measureStart, measureEnd, opts =
   const before = track.notes.length;
   const { pitchMin, pitchMax } = opts;
 
+  recordEdit(entry, 'delete_notes', { trackIndex, measureStart, measureEnd, ...opts });
   track.notes = track.notes.filter(note => {
     if (note.ticks < start || note.ticks >= end) return true;
     if (pitchMin !== undefined && note.midi < pitchMin) return true;
@@ -337,20 +1826,112 @@ export function deleteNotes(alias, trackIndex, measureStart, measureEnd, opts =
   return { trackIndex, removedCount: removed, remainingNotes: track.notes.length };
 }
 
-export function setTempo(alias, bpm, atTick = 0) {
+export function deleteNotesById(alias, ids) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const found = findNotesById(midi, ids);
+
+  recordEdit(entry, 'delete_notes', { ids });
+  const keyFor = keyResolver(midi);
+  const removed = [];
+  for (const { note, track, trackIndex } of found.values()) {
+    track.notes = track.notes.filter(n => n !== note);
+    removed.push({ id: note.id, track: trackIndex, ...describeNote(midi, note, keyFor, track) });
+  }
+
+  entry.dirty = true;
+  return { removedCount: removed.length, removed };
+}
+
+/**
+ * Change individual notes by id. Each update may set any of noteName,
+ * measure, beat, durationBeats and velocity; omitted fields keep their value.
+ */
+export function updateNotes(alias, updates) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const found = findNotesById(midi, updates.map(u => u.id));
+
+  // Validate everything before touching the file so a bad update changes nothing
+  const planned = updates.map(u => {
+    const { note, track } = found.get(u.id);
+    const pos = tickToMeasureBeat(midi, note.ticks);
+    const measure = u.measure ?? pos.measure;
+    const beat = u.beat ?? pos.beat;
+    const [num] = timeSigAtTick(midi, measureToTicks(midi, measure).start);
+    if (beat >= num + 1) {
+      throw new Error(`Note ${u.id}: beat ${beat} does not fit in measure ${measure} (${num} beats).`);
+    }
+    const midiNum = u.noteName !== undefined ? trackNoteToMidi(track, u.noteName) : note.midi;
+    return { u, note, measure, beat, midiNum };
+  });
+
+  recordEdit(entry, 'update_notes', { updates });
+  const keyFor = keyResolver(midi);
+  const touched = new Set();
+  const updated = [];
+  for (const { u, note, measure, beat, midiNum } of planned) {
+    const { track, trackIndex } = found.get(u.id);
+    const before = describeNote(midi, note, keyFor, track);
+
+    if (u.measure !== undefined || u.beat !== undefined) {
+      note.ticks = measureBeatToTicks(midi, measure, beat).ticks;
+      touched.add(track);
+    }
+    if (u.durationBeats !== undefined) {
+      note.durationTicks = Math.round(u.durationBeats * measureBeatToTicks(midi, measure, beat).ticksPerBeat);
+    }
+    if (u.velocity !== undefined) note.velocity = u.velocity / 127;
+    note.midi = midiNum;
+
+    updated.push({ id: note.id, track: trackIndex, before, after: describeNote(midi, note, keyFor, track) });
+  }
+
+  // Moved notes must stay in tick order for binary search and encoding
+  for (const track of touched) track.notes.sort((a, b) => a.ticks - b.ticks);
+
+  entry.dirty = true;
+  return { updatedCount: updated.length, updated };
+}
+
+/**
+ * Set the tempo from a position on: a tick, { measure, beat }, or { time }
+ * (seconds or a timestamp, read against the tempo map before the change).
+ */
+export function setTempo(alias, bpm, at = 0) {
   const entry = requireLoaded(alias);
   const { midi } = entry;
+  const atTick = positionToTick(midi, at);
+  recordEdit(entry, 'set_tempo', { bpm, atTick });
   // Remove any existing tempo at the same tick
   midi.header.tempos = midi.header.tempos.filter(t => t.ticks !== atTick);
   midi.header.tempos.push({ ticks: atTick, bpm });
   midi.header.tempos.sort((a, b) => a.ticks - b.ticks);
   entry.dirty = true;
-  return { bpm, atTick, allTempos: midi.header.tempos.map(t => ({ bpm: t.bpm, ticks: t.ticks })) };
+  return {
+    bpm,
+    atTick,
+    at: { ...tickToMeasureBeat(midi, atTick), timestamp: formatTimestamp(ticksToSeconds(midi, atTick)) },
+    allTempos: midi.header.tempos.map(t => ({ bpm: t.bpm, ticks: t.ticks })),
+  };
 }
 
-export function setTimeSignature(alias, numerator, denominator, atTick = 0) {
+/**
+ * Set the time signature from a position on: a tick, { measure } (beat 1),
+ * or { time }, which starts the change at the measure containing that time.
+ */
+export function setTimeSignature(alias, numerator, denominator, at = 0) {
   const entry = requireLoaded(alias);
   const { midi } = entry;
+  let atTick;
+  if (typeof at === 'object' && at.measure !== undefined && (at.beat ?? 1) !== 1) {
+    throw new Error('Time signatures change at the start of a measure; leave beat at 1.');
+  } else if (typeof at === 'object' && at.time !== undefined) {
+    atTick = measureAtTick(midi, positionToTick(midi, at)).start;
+  } else {
+    atTick = positionToTick(midi, at);
+  }
+  recordEdit(entry, 'set_time_signature', { numerator, denominator, atTick });
   midi.header.timeSignatures = midi.header.timeSignatures.filter(ts => ts.ticks !== atTick);
   midi.header.timeSignatures.push({ ticks: atTick, timeSignature: [numerator, denominator] });
   midi.header.timeSignatures.sort((a, b) => a.ticks - b.ticks);
@@ -365,11 +1946,37 @@ export function setTimeSignature(alias, numerator, denominator, atTick = 0) {
   };
 }
 
-export function addTrack(alias, name, instrument) {
+export function setKeySignature(alias, key, mode, at = 0) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const atTick = positionToTick(midi, at);
+  const parsed = parseKey(key, mode);
+  const fifths = keyFifths(parsed.tonic, parsed.mode);
+
+  recordEdit(entry, 'set_key_signature', { key, mode, atTick });
+  midi.header.keySignatures = midi.header.keySignatures.filter(ks => ks.ticks !== atTick);
+  // Stored under the major-key name of the signature, as @tonejs/midi encodes it
+  midi.header.keySignatures.push({ ticks: atTick, key: MAJOR_KEYS[fifths + 7], scale: parsed.mode });
+  midi.header.keySignatures.sort((a, b) => a.ticks - b.ticks);
+  entry.dirty = true;
+  return {
+    key: formatKey(parsed),
+    atTick,
+    allKeySignatures: midi.header.keySignatures.map(ks => ({ key: formatKey(keySigToKey(ks)), ticks: ks.ticks })),
+  };
+}
+
+/**
+ * Add a track. With `drums` it goes on GM channel 10 and `instrument` picks
+ * the drum kit (0 = standard).
+ */
+export function addTrack(alias, name, instrument, drums = false) {
   const entry = requireLoaded(alias);
   const { midi } = entry;
+  recordEdit(entry, 'add_track', { name, instrument, drums });
   const track = midi.addTrack();
   track.name = name || `Track ${midi.tracks.length - 1}`;
+  if (drums) track.channel = DRUM_CHANNEL;
   if (instrument !== undefined) {
     track.instrument.number = instrument;
   }
@@ -377,15 +1984,185 @@ export function addTrack(alias, name, instrument) {
   return {
     trackIndex: midi.tracks.length - 1,
     name: track.name,
+    channel: track.channel,
+    percussion: drums,
     instrument: track.instrument.name,
   };
 }
 
+/**
+ * Split a track into new tracks that take its place:
+ *   'pitch'    notes at or above `splitPoint` (default C4) / below it
+ *   'hands'    right / left hand, following each hand's position (see
+ *              assignHands)
+ *   'channel'  one track per MIDI channel the notes came from (tracks built
+ *              by merge_tracks remember their notes' channels)
+ * Controller and pitch-bend events go to every part for pitch and hand
+ * splits, and with their channel for channel splits. Parts keep the
+ * instrument. `names` overrides the default part names, in order.
+ */
+export function splitTrack(alias, trackIndex, by, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+  const baseName = track.name || `Track ${trackIndex}`;
+
+  let parts;
+  if (by === 'pitch') {
+    const split = noteNameToMidi(opts.splitPoint ?? 'C4');
+    parts = [
+      { name: `${baseName} (upper)`, notes: track.notes.filter(n => n.midi >= split) },
+      { name: `${baseName} (lower)`, notes: track.notes.filter(n => n.midi < split) },
+    ];
+  } else if (by === 'hands') {
+    const left = assignHands(track.notes);
+    parts = [
+      { name: `${baseName} (right hand)`, notes: track.notes.filter(n => !left.has(n)) },
+      { name: `${baseName} (left hand)`, notes: track.notes.filter(n => left.has(n)) },
+    ];
+  } else if (by === 'channel') {
+    const channels = noteChannels(track);
+    parts = channels.map(channel => ({
+      name: `${baseName} (channel ${channel})`,
+      channel,
+      notes: track.notes.filter(n => (n.channel ?? track.channel) === channel),
+    }));
+  } else {
+    throw new Error(`Unknown split "${by}". Use pitch, hands, or channel.`);
+  }
+  parts = parts.filter(p => p.notes.length);
+  if (parts.length < 2) {
+    throw new Error(by === 'channel'
+      ? `Track ${trackIndex} only has notes on channel ${track.channel}.`
+      : `Nothing to split: every note of track ${trackIndex} falls in one part.`);
+  }
+  (opts.names ?? []).forEach((name, i) => {
+    if (parts[i] && name) parts[i].name = name;
+  });
+
+  recordEdit(entry, 'split_track', { trackIndex, by, ...opts });
+  const owners = lyricOwners(midi);
+  const created = parts.map((part) => {
+    const t = midi.addTrack();
+    midi.tracks.pop();
+    t.name = part.name;
+    t.channel = part.channel ?? track.channel;
+    t.instrument.number = track.instrument.number;
+    for (const note of part.notes) {
+      delete note.channel;
+      t.notes.push(note);
+    }
+    for (const [controller, list] of controllerLists(track)) {
+      for (const event of list) {
+        if (part.channel !== undefined && (event.channel ?? track.channel) !== part.channel) continue;
+        if (controller === 'pitch_bend') t.addPitchBend({ ticks: event.ticks, value: event.value });
+        else t.addCC({ number: controller, ticks: event.ticks, value: event.value });
+      }
+    }
+    return t;
+  });
+  midi.tracks.splice(trackIndex, 1, ...created);
+  // Lyrics follow the part holding the note they are sung on
+  reindexLyrics(midi, owners, (t, event) => (t === track
+    ? created.find(part => part.notes.some(n => Math.abs(n.ticks - event.ticks) <= midi.header.ppq / 16)) ?? created[0]
+    : undefined));
+  entry.dirty = true;
+
+  return {
+    by,
+    tracks: created.map((t, i) => ({
+      track: trackIndex + i,
+      name: t.name,
+      channel: t.channel,
+      noteCount: t.notes.length,
+      controllerEvents: controllerLists(t).reduce((sum, [, list]) => sum + list.length, 0),
+    })),
+    ...(midi.tracks.length - created.length > trackIndex && {
+      note: `Tracks after ${trackIndex} moved up by ${created.length - 1}.`,
+    }),
+  };
+}
+
+/**
+ * Merge tracks into the first one listed, which keeps its place, name and
+ * instrument unless `name` is given; the others are removed. Notes and
+ * controller events remember the channel they came from, so a merge can be
+ * split again by channel; `channel` moves everything onto one channel
+ * instead.
+ */
+export function mergeTracks(alias, trackIndices, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const indices = [...new Set(trackIndices)];
+  if (indices.length < 2) throw new Error('Give at least two different tracks to merge.');
+  for (const i of indices) {
+    if (!midi.tracks[i]) throw new Error(`Track ${i} does not exist.`);
+  }
+
+  const [targetIndex, ...others] = indices;
+  const target = midi.tracks[targetIndex];
+  const { channel } = opts;
+  const sources = indices.map(i => midi.tracks[i]);
+  const channels = [...new Set(sources.flatMap(noteChannels))];
+
+  recordEdit(entry, 'merge_tracks', { trackIndices: indices, ...opts });
+  const owners = lyricOwners(midi);
+  // Mark where everything came from before the channels get mixed
+  const mixed = channels.length > 1 && channel === undefined;
+  for (const source of sources) {
+    for (const note of source.notes) {
+      if (mixed) note.channel ??= source.channel;
+      else delete note.channel;
+    }
+    for (const [, list] of controllerLists(source)) {
+      for (const event of list) {
+        if (mixed) event.channel ??= source.channel;
+        else delete event.channel;
+      }
+    }
+  }
+  for (const i of others) {
+    const source = midi.tracks[i];
+    target.notes.push(...source.notes);
+    for (const [controller, list] of controllerLists(source)) {
+      for (const event of list) {
+        const extra = event.channel !== undefined ? { channel: event.channel } : {};
+        if (controller === 'pitch_bend') target.addPitchBend({ ticks: event.ticks, value: event.value, ...extra });
+        else target.addCC({ number: controller, ticks: event.ticks, value: event.value, ...extra });
+      }
+    }
+  }
+  target.notes.sort((a, b) => a.ticks - b.ticks);
+  if (channel !== undefined) target.channel = channel;
+  if (opts.name) target.name = opts.name;
+  for (const i of [...others].sort((a, b) => b - a)) midi.tracks.splice(i, 1);
+  reindexLyrics(midi, owners, t => (sources.includes(t) ? target : undefined));
+  entry.dirty = true;
+
+  const warnings = [];
+  if (mixed) {
+    warnings.push(`The merged notes come from channels ${channels.join(', ')}; saving writes them all on channel ${target.channel}. `
+      + 'Split by channel to separate them again, or merge with a channel to settle on one.');
+  }
+  return {
+    track: midi.tracks.indexOf(target),
+    name: target.name,
+    channel: target.channel,
+    mergedTracks: indices,
+    noteCount: target.notes.length,
+    ...(mixed && { channels }),
+    warnings,
+    note: 'Track indices after the merged tracks have moved up.',
+  };
+}
+
 export function setTrackInstrument(alias, trackIndex, instrument) {
   const entry = requireLoaded(alias);
   const { midi } = entry;
   const track = midi.tracks[trackIndex];
   if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+  recordEdit(entry, 'set_instrument', { trackIndex, instrument });
   track.instrument.number = instrument;
   entry.dirty = true;
   return { trackIndex, instrument: track.instrument.name, instrumentNumber: instrument };
@@ -408,7 +2185,7 @@ export function createMidi(alias, opts = {}) {
   }];
 
   const filePath = opts.filePath ? resolve(opts.filePath) : null;
-  loaded.set(alias, { midi, filePath, dirty: true });
+  loaded.set(alias, createEntry(midi, filePath, false));
 
   return {
     alias,
@@ -427,9 +2204,10 @@ export async function saveMidi(alias, outputPath) {
   const target = outputPath ? resolve(outputPath) : entry.filePath;
   if (!target) throw new Error('No file path specified and none stored. Provide an outputPath.');
 
-  const buffer = Buffer.from(midi.toArray());
+  const buffer = encodeMidi(midi);
   await writeFile(target, buffer);
   entry.filePath = target;
+  entry.savedRevision = entry.revision;
   entry.dirty = false;
 
   return {
@@ -441,13 +2219,351 @@ export async function saveMidi(alias, outputPath) {
   };
 }
 
-export function listLoaded() {
-  const entries = [];
-  for (const [alias, entry] of loaded) {
-    entries.push({
-      alias,
-      filePath: entry.filePath,
-      dirty: entry.dirty,
+/**
+ * Where an imported ABC file saves by default: its path with the extension
+ * swapped for .mid, never the ABC file itself.
+ */
+function abcSavePath(sourcePath) {
+  const path = sourcePath.slice(0, sourcePath.length - extname(sourcePath).length) + '.mid';
+  return path === sourcePath ? `${path}.mid` : path;
+}
+
+/**
+ * Build a new alias from an ABC tune (text or a .abc file). Each voice becomes
+ * a track; repeats and endings are played out, and a pickup measure is padded
+ * so the first full bar starts measure 2.
+ */
+export async function importAbc(alias, opts = {}) {
+  const { filePath, tune } = opts;
+  let { text } = opts;
+  if (text !== undefined && filePath) throw new Error('Give ABC text or a file path, not both.');
+  if (text === undefined) {
+    if (!filePath) throw new Error('Provide ABC text or a file path.');
+    text = await readFile(resolve(filePath), 'utf8');
+  }
+  const parsed = parseAbc(text, { tune });
+
+  const midi = new Midi();
+  const { ppq } = midi.header;
+  const toTicks = time => Math.round(time * 4 * ppq);
+  if (parsed.title) midi.header.name = parsed.title;
+
+  const meter = parsed.meter ?? [4, 4];
+  midi.header.tempos = [{ ticks: 0, bpm: parsed.tempo || 120 }];
+  midi.header.timeSignatures = [{ ticks: 0, timeSignature: meter }];
+  // Modal keys are stored under their signature's major key
+  const keySignature = (ticks, key) => ({
+    ticks,
+    key: MAJOR_KEYS[key.fifths + 7],
+    scale: key.mode === 'minor' ? 'minor' : 'major',
+  });
+  midi.header.keySignatures = parsed.key ? [keySignature(0, parsed.key)] : [];
+  for (const change of parsed.changes) {
+    const ticks = toTicks(change.time);
+    if (change.tempo) midi.header.tempos.push({ ticks, bpm: change.tempo });
+    if (change.meter) midi.header.timeSignatures.push({ ticks, timeSignature: change.meter });
+    if (change.key) midi.header.keySignatures.push(keySignature(ticks, change.key));
+  }
+  for (const list of [midi.header.tempos, midi.header.timeSignatures, midi.header.keySignatures]) {
+    // Later entries at the same tick win
+    const byTick = new Map(list.map(e => [e.ticks, e]));
+    list.splice(0, list.length, ...[...byTick.values()].sort((a, b) => a.ticks - b.ticks));
+  }
+
+  for (const voice of parsed.voices) {
+    const track = midi.addTrack();
+    track.name = voice.name;
+    if (voice.percussion) track.channel = DRUM_CHANNEL;
+    if (voice.program !== undefined) track.instrument.number = voice.program;
+    for (const note of voice.notes) {
+      track.addNote({
+        id: `n${++noteIdCounter}`,
+        midi: note.midi,
+        ticks: toTicks(note.time),
+        durationTicks: Math.max(1, toTicks(note.time + note.duration) - toTicks(note.time)),
+        velocity: note.velocity / 127,
+      });
+    }
+  }
+
+  const absPath = filePath ? abcSavePath(resolve(filePath)) : null;
+  loaded.set(alias, createEntry(midi, absPath, false));
+
+  const result = {
+    alias,
+    title: parsed.title ?? null,
+    tempo: Math.round(midi.header.tempos[0].bpm * 10) / 10,
+    timeSignature: meter.join('/'),
+    key: parsed.key ? formatKey({ tonic: parsed.key.tonic, mode: parsed.key.mode }) : null,
+    tracks: midi.tracks.map((track, i) => ({
+      track: i,
+      name: track.name,
+      voice: parsed.voices[i].id,
+      noteCount: track.notes.length,
+    })),
+    totalMeasures: totalMeasures(midi),
+  };
+  if (parsed.pickup) result.pickupBeats = Math.round(parsed.pickup * meter[1] * 100) / 100;
+  if (parsed.warnings.length) result.warnings = parsed.warnings;
+  return result;
+}
+
+/**
+ * Write tracks (default: all with notes) as an ABC tune. Notes crossing a bar
+ * line are split and tied, overlapping material goes to extra voices, and
+ * meter, tempo and key changes are written inline at the measure they start.
+ * Writes to `opts.filePath` when given, otherwise returns the text.
+ */
+export async function exportAbc(alias, opts = {}) {
+  const { midi } = requireLoaded(alias);
+  const { ppq } = midi.header;
+  const measures = totalMeasures(midi);
+  if (!measures) throw new Error(`"${alias}" has no notes to export.`);
+
+  const trackIndices = exportTracks(midi, opts.tracks);
+  const keyFor = keyResolver(midi);
+  const bars = [];
+  for (let m = 1; m <= measures; m++) bars.push(measureToTicks(midi, m));
+  const wholeNote = 4 * ppq;
+  const meter = timeSigAtTick(midi, 0);
+
+  // Header states per measure, written where they change
+  let previous = null;
+  const barStates = bars.map(({ start }) => {
+    const state = {
+      meter: timeSigAtTick(midi, start),
+      tempo: Math.round(tempoAtTick(midi, start)),
+      key: keyFor(start) ?? { tonic: 'C', mode: 'major' },
+    };
+    const changes = {};
+    if (previous) {
+      if (state.meter.join('/') !== previous.meter.join('/')) changes.meter = state.meter;
+      if (state.tempo !== previous.tempo) changes.tempo = state.tempo;
+      if (formatKey(state.key) !== formatKey(previous.key)) changes.key = state.key;
+    }
+    previous = state;
+    return changes;
+  });
+
+  const voices = [];
+  for (const trackIndex of trackIndices) {
+    const track = midi.tracks[trackIndex];
+    const percussion = track.channel === DRUM_CHANNEL;
+    voiceMeasures(track, bars, keyFor).forEach((measures, k) => {
+      const out = measures.map((events, b) => ({
+        ...barStates[b],
+        events: events.map(e => ({ length: e.durationTicks / wholeNote, pitches: e.pitches, tie: e.tieStart, velocity: e.velocity })),
+      }));
+      voices.push({
+        id: k ? `${trackIndex + 1}${String.fromCharCode(97 + k)}` : String(trackIndex + 1),
+        name: k ? `${track.name} (${k + 1})` : track.name || `Track ${trackIndex}`,
+        program: percussion ? undefined : track.instrument.number,
+        percussion,
+        measures: out,
+      });
+    });
+  }
+  if (!voices.length) throw new Error('The selected tracks have no notes to export.');
+
+  const { text, approximated } = formatAbc({
+    title: midi.header.name || alias,
+    meter,
+    unit: meter[0] / meter[1] < 0.75 ? 1 / 16 : 1 / 8,
+    tempo: tempoAtTick(midi, 0),
+    key: keyFor(0) ?? { tonic: 'C', mode: 'major' },
+    voices,
+  }, 1 / wholeNote);
+
+  const result = {
+    alias,
+    tracks: trackIndices,
+    voices: voices.map(v => ({ id: v.id, name: v.name })),
+    measures,
+  };
+  if (approximated) result.approximatedDurations = approximated;
+  if (opts.filePath) {
+    const target = resolve(opts.filePath);
+    await writeFile(target, text);
+    result.filePath = target;
+  } else {
+    result.abc = text;
+  }
+  return result;
+}
+
+/**
+ * Write tracks (default: all with notes) as a MusicXML score, one part per
+ * track. Measures follow the time signatures, with key signatures and tempo
+ * marks where they change; notes crossing a bar line are tied, notes sharing
+ * an onset and length become chords, and overlapping material goes to extra
+ * voices. Writes to `opts.filePath` when given, otherwise returns the text.
+ */
+export async function exportMusicXml(alias, opts = {}) {
+  const { midi } = requireLoaded(alias);
+  const measures = totalMeasures(midi);
+  if (!measures) throw new Error(`"${alias}" has no notes to export.`);
+
+  const trackIndices = exportTracks(midi, opts.tracks);
+  const keyFor = keyResolver(midi);
+  const bars = [];
+  for (let m = 1; m <= measures; m++) bars.push(measureToTicks(midi, m));
+
+  // Key and time signatures per measure, written where they change
+  let previous = null;
+  const barAttributes = bars.map(({ start }) => {
+    const time = timeSigAtTick(midi, start);
+    const key = keyFor(start) ?? { tonic: 'C', mode: 'major' };
+    const attributes = {};
+    if (!previous || time.join('/') !== previous.time.join('/')) attributes.time = time;
+    if (!previous || formatKey(key) !== formatKey(previous.key)) {
+      attributes.key = { fifths: keyFifths(key.tonic, key.mode), mode: key.mode };
+    }
+    previous = { time, key };
+    return attributes;
+  });
+  const barTempos = bars.map(() => []);
+  for (const tempo of midi.header.tempos) {
+    const b = bars.findIndex(bar => bar.end > tempo.ticks);
+    if (b !== -1) barTempos[b].push({ offset: tempo.ticks - bars[b].start, bpm: tempo.bpm });
+  }
+  if (!barTempos[0].some(t => t.offset === 0)) barTempos[0].unshift({ offset: 0, bpm: tempoAtTick(midi, 0) });
+
+  const parts = trackIndices.map((trackIndex, p) => {
+    const track = midi.tracks[trackIndex];
+    const percussion = track.channel === DRUM_CHANNEL;
+    const average = track.notes.reduce((sum, n) => sum + n.midi, 0) / (track.notes.length || 1);
+    const clef = percussion ? ['percussion'] : average < 60 ? ['F', 4] : ['G', 2];
+    const voices = voiceMeasures(track, bars, keyFor);
+    return {
+      name: track.name || `Track ${trackIndex}`,
+      channel: track.channel + 1,
+      program: percussion ? undefined : track.instrument.number,
+      measures: bars.map((bar, b) => {
+        const attributes = b === 0 ? { ...barAttributes[b], clef } : barAttributes[b];
+        return {
+          length: bar.end - bar.start,
+          attributes: Object.keys(attributes).length ? attributes : undefined,
+          // Tempo marks go on the top part only
+          tempos: p === 0 ? barTempos[b] : [],
+          voices: (voices.length ? voices : [[]]).map(v => (v[b] ?? []).map(e => ({
+            duration: e.durationTicks,
+            pitches: e.pitches,
+            tieStart: e.tieStart,
+            tieStop: e.tieStop,
+          }))),
+        };
+      }),
+    };
+  });
+  if (!parts.length) throw new Error('No tracks selected to export.');
+
+  const text = formatMusicXml({ title: midi.header.name || alias, divisions: midi.header.ppq, parts });
+  const result = {
+    alias,
+    parts: parts.map((part, p) => ({ part: `P${p + 1}`, track: trackIndices[p], name: part.name })),
+    measures,
+  };
+  if (opts.filePath) {
+    const target = resolve(opts.filePath);
+    await writeFile(target, text);
+    result.filePath = target;
+  } else {
+    result.musicxml = text;
+  }
+  return result;
+}
+
+/**
+ * Render an alias (or a measure range of it) to a stereo 16-bit WAV file with
+ * the built-in synth (see synth.js). Follows the tempo map, note velocities,
+ * the sustain pedal, and each track's volume (CC 7) and pan (CC 10). `mute`
+ * drops tracks; `solo` keeps only the listed tracks, for rendering stems.
+ */
+export async function renderAudio(alias, outputPath, opts = {}) {
+  const { midi } = requireLoaded(alias);
+  const { measureStart = 1, sampleRate = 44100, mute = [], solo = [] } = opts;
+  const measureEnd = opts.measureEnd ?? totalMeasures(midi);
+  if (!measureEnd) throw new Error(`"${alias}" has no notes to render.`);
+  if (measureEnd < measureStart) throw new Error('measureEnd must not be before measureStart.');
+  for (const i of [...mute, ...solo]) {
+    if (!midi.tracks[i]) throw new Error(`Track ${i} does not exist.`);
+  }
+
+  const startTick = measureToTicks(midi, measureStart).start;
+  const endTick = measureToTicks(midi, measureEnd).end;
+  const offset = ticksToSeconds(midi, startTick);
+  const seconds = tick => ticksToSeconds(midi, tick) - offset;
+  const duration = seconds(endTick);
+  const length = Math.ceil((duration + MAX_TAIL) * sampleRate);
+  if (length * 12 > 1024 ** 3) throw new Error('That render would be longer than about 30 minutes; render a measure range instead.');
+
+  const left = new Float32Array(length);
+  const right = new Float32Array(length);
+  const mono = new Float32Array(length);
+  const rendered = [];
+  midi.tracks.forEach((track, trackIndex) => {
+    if (mute.includes(trackIndex) || (solo.length && !solo.includes(trackIndex))) return;
+    const notes = track.notes.filter(n => n.ticks >= startTick && n.ticks < endTick);
+    if (!notes.length) return;
+
+    // Held notes ring on while the sustain pedal is down
+    const pedal = track.controlChanges[64] ?? [];
+    const pedalUp = (tick) => {
+      let down = false;
+      for (const cc of pedal) {
+        if (cc.ticks <= tick) down = cc.value >= 0.5;
+        else if (down && cc.value < 0.5) return cc.ticks;
+      }
+      return down ? endTick : tick;
+    };
+    const automation = number => (track.controlChanges[number] ?? [])
+      .filter(cc => cc.ticks < endTick)
+      .map(cc => ({ time: Math.max(0, seconds(cc.ticks)), value: cc.value }));
+
+    mono.fill(0);
+    const percussion = track.channel === DRUM_CHANNEL;
+    renderTrack(mono, notes.map(n => {
+      const end = Math.min(endTick, n.ticks + n.durationTicks);
+      return {
+        start: seconds(n.ticks),
+        end: seconds(percussion ? end : Math.min(endTick, Math.max(end, pedalUp(end)))),
+        midi: n.midi,
+        velocity: n.velocity,
+      };
+    }), { sampleRate, program: track.instrument.number, percussion, seed: trackIndex + 1 });
+    mixTrack(left, right, mono, { sampleRate, volume: automation(7), pan: automation(10) });
+    rendered.push({ track: trackIndex, name: track.name, notes: notes.length });
+  });
+  if (!rendered.length) throw new Error('Nothing to render: no notes in range on the selected tracks.');
+
+  // Trim the silent end of the tail
+  let last = length;
+  while (last > 0 && Math.abs(left[last - 1]) < 1e-4 && Math.abs(right[last - 1]) < 1e-4) last--;
+  const end = Math.max(last, Math.ceil(duration * sampleRate));
+  const { buffer, peak, normalized } = encodeWav(left.subarray(0, end), right.subarray(0, end), sampleRate);
+  const target = resolve(outputPath);
+  await writeFile(target, buffer);
+
+  return {
+    alias,
+    filePath: target,
+    measureStart,
+    measureEnd,
+    seconds: Math.round(end / sampleRate * 100) / 100,
+    sampleRate,
+    tracks: rendered,
+    peak,
+    normalized,
+  };
+}
+
+export function listLoaded() {
+  const entries = [];
+  for (const [alias, entry] of loaded) {
+    entries.push({
+      alias,
+      filePath: entry.filePath,
+      dirty: entry.dirty,
       trackCount: entry.midi.tracks.length,
       duration: Math.round(entry.midi.duration * 100) / 100,
     });
@@ -463,6 +2579,64 @@ export function unloadMidi(alias) {
   return { alias, unloaded: true, hadUnsavedChanges: wasDirty };
 }
 
+export function undo(alias, steps = 1) {
+  const entry = requireLoaded(alias);
+  if (!entry.undoStack.length) throw new Error(`Nothing to undo for "${alias}".`);
+
+  const undone = [];
+  for (let i = 0; i < steps && entry.undoStack.length; i++) {
+    const h = entry.undoStack.pop();
+    entry.redoStack.push({ ...h, midi: entry.midi, revision: entry.revision });
+    entry.midi = h.midi;
+    entry.revision = h.revision;
+    undone.push(historyItem(h, entry.undoStack.length));
+  }
+
+  entry.dirty = entry.revision !== entry.savedRevision;
+  return {
+    alias,
+    undone,
+    dirty: entry.dirty,
+    undoSteps: entry.undoStack.length,
+    redoSteps: entry.redoStack.length,
+  };
+}
+
+export function redo(alias, steps = 1) {
+  const entry = requireLoaded(alias);
+  if (!entry.redoStack.length) throw new Error(`Nothing to redo for "${alias}".`);
+
+  const redone = [];
+  for (let i = 0; i < steps && entry.redoStack.length; i++) {
+    const h = entry.redoStack.pop();
+    entry.undoStack.push({ ...h, midi: entry.midi, revision: entry.revision });
+    entry.midi = h.midi;
+    entry.revision = h.revision;
+    redone.push(historyItem(h, entry.undoStack.length - 1));
+  }
+
+  entry.dirty = entry.revision !== entry.savedRevision;
+  return {
+    alias,
+    redone,
+    dirty: entry.dirty,
+    undoSteps: entry.undoStack.length,
+    redoSteps: entry.redoStack.length,
+  };
+}
+
+export function getHistory(alias) {
+  const entry = requireLoaded(alias);
+  return {
+    alias,
+    dirty: entry.dirty,
+    applied: entry.undoStack.map(historyItem),
+    undone: entry.redoStack
+      .map((h, i) => historyItem(h, entry.undoStack.length + entry.redoStack.length - 1 - i))
+      .reverse(),
+  };
+}
+
 export function transposeNotes(alias, trackIndex, semitones, measureStart, measureEnd) {
   const entry = requireLoaded(alias);
   const { midi } = entry;
@@ -477,27 +2651,76 @@ export function transposeNotes(alias, trackIndex, semitones, measureStart, measu
     end = measureToTicks(midi, measureEnd).end;
   }
 
-  let count = 0;
+  recordEdit(entry, 'transpose', { trackIndex, semitones, measureStart, measureEnd });
+  let count = 0, clamped = 0;
   for (const note of track.notes) {
     if (note.ticks >= start && note.ticks < end) {
-      note.midi = Math.max(0, Math.min(127, note.midi + semitones));
+      if (clampPitch(note, note.midi + semitones)) clamped++;
       count++;
     }
   }
 
   entry.dirty = true;
-  return { trackIndex, semitones, transposedCount: count };
+  return { trackIndex, semitones, transposedCount: count, ...(clamped && { clampedCount: clamped }) };
 }
 
-export function quantizeNotes(alias, trackIndex, gridBeats, measureStart, measureEnd) {
+/**
+ * Transpose by scale steps within a scale ("C major", "D dorian"), so a third
+ * up stays diatonic. Notes outside the scale keep their chromatic offset from
+ * the scale degree below them (F# in C major, up a third, becomes A#).
+ */
+export function transposeDiatonic(alias, trackIndex, steps, scaleName, measureStart, measureEnd) {
   const entry = requireLoaded(alias);
   const { midi } = entry;
   const track = midi.tracks[trackIndex];
   if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+  const scale = parseScale(scaleName);
+  const tonicPc = parsePitchClass(scale.tonic);
 
-  const ppq = midi.header.ppq;
-  const gridTicks = Math.round(ppq * gridBeats);
-  if (gridTicks <= 0) throw new Error('Grid size must be positive.');
+  let start = 0, end = Infinity;
+  if (measureStart !== undefined) {
+    start = measureToTicks(midi, measureStart).start;
+  }
+  if (measureEnd !== undefined) {
+    end = measureToTicks(midi, measureEnd).end;
+  }
+
+  recordEdit(entry, 'transpose', { trackIndex, steps, scale: scaleName, measureStart, measureEnd });
+  let count = 0, chromatic = 0, clamped = 0;
+  for (const note of track.notes) {
+    if (note.ticks >= start && note.ticks < end) {
+      const { degree, offset } = toScaleDegree(note.midi, tonicPc, scale.steps);
+      if (offset) chromatic++;
+      const target = fromScaleDegree(degree + steps, offset, tonicPc, scale.steps);
+      if (clampPitch(note, target)) clamped++;
+      count++;
+    }
+  }
+
+  entry.dirty = true;
+  return {
+    trackIndex,
+    steps,
+    scale: `${scale.tonic} ${scale.mode}`,
+    transposedCount: count,
+    chromaticNotes: chromatic,
+    ...(clamped && { clampedCount: clamped }),
+  };
+}
+
+/**
+ * Map notes from one mode to another on the same tonic, degree for degree
+ * (C major → C minor turns E, A, B into Eb, Ab, Bb). Chromatic notes follow
+ * the same rule as transposeDiatonic.
+ */
+export function changeMode(alias, trackIndex, fromScale, toMode, measureStart, measureEnd) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+  const from = parseScale(fromScale);
+  const to = normalizeMode(toMode);
+  const tonicPc = parsePitchClass(from.tonic);
 
   let start = 0, end = Infinity;
   if (measureStart !== undefined) {
@@ -507,30 +2730,1325 @@ export function quantizeNotes(alias, trackIndex, gridBeats, measureStart, measur
     end = measureToTicks(midi, measureEnd).end;
   }
 
-  let count = 0;
+  recordEdit(entry, 'change_mode', { trackIndex, from: fromScale, to: toMode, measureStart, measureEnd });
+  let count = 0, changed = 0;
   for (const note of track.notes) {
     if (note.ticks >= start && note.ticks < end) {
-      const nearest = Math.round(note.ticks / gridTicks) * gridTicks;
-      note.ticks = nearest;
-      // Recalculate time from ticks
+      const { degree, offset } = toScaleDegree(note.midi, tonicPc, from.steps);
+      const target = Math.max(0, Math.min(127, fromScaleDegree(degree, offset, tonicPc, MODE_SCALES[to])));
+      if (target !== note.midi) changed++;
+      note.midi = target;
       count++;
     }
   }
 
   entry.dirty = true;
-  return { trackIndex, gridBeats, quantizedCount: count };
+  return {
+    trackIndex,
+    from: `${from.tonic} ${from.mode}`,
+    to: `${from.tonic} ${to}`,
+    notesInRange: count,
+    changedCount: changed,
+  };
 }
 
-// ── Internal helpers ─────────────────────────────────────────────────────────
+/**
+ * Apply melodic transformations to the notes starting in a measure range.
+ * `operations` run in order; each is one of
+ *   { type: 'invert', pivot?: 'E4' | 64 }   mirror pitches around a pivot (default: first note)
+ *   { type: 'retrograde' }                  reverse in time over the notes' own extent
+ *   { type: 'augment', ratio?: 2 }          stretch onsets and durations
+ *   { type: 'diminish', ratio?: 2 }         compress onsets and durations
+ *   { type: 'rotate', steps?: 1 }           rotate the pitch order, keeping the rhythm
+ * Without a target the source notes are replaced in place; with targetTrack
+ * and/or targetMeasure the result is written there and the source is kept.
+ * Timing is counted in beats, measure by measure, so the result follows the
+ * meter of wherever it lands.
+ */
+export function transformNotes(alias, trackIndex, measureStart, measureEnd, operations, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+  const { targetTrack, targetMeasure } = opts;
+  const outTrack = midi.tracks[targetTrack ?? trackIndex];
+  if (!outTrack) throw new Error(`Track ${targetTrack} does not exist.`);
 
-function noteNameToMidi(name) {
-  const match = name.match(/^([A-Ga-g])(#{0,2}|b{0,2})(-?\d+)$/);
-  if (!match) throw new Error(`Invalid note name: "${name}". Use format like C4, F#3, Bb5.`);
-  const [, letter, accidental, octaveStr] = match;
-  const base = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }[letter.toUpperCase()];
-  const acc = accidental.split('').reduce((sum, ch) => sum + (ch === '#' ? 1 : -1), 0);
-  const octave = parseInt(octaveStr, 10);
-  const midi = (octave + 1) * 12 + base + acc;
-  if (midi < 0 || midi > 127) throw new Error(`Note "${name}" results in MIDI number ${midi}, out of range 0-127.`);
-  return midi;
+  const { start } = measureToTicks(midi, measureStart);
+  const { end } = measureToTicks(midi, measureEnd);
+  const source = track.notes.filter(n => n.ticks >= start && n.ticks < end);
+  if (!source.length) throw new Error(`No notes in measures ${measureStart}-${measureEnd} on track ${trackIndex}.`);
+
+  // Work in beats from the first downbeat of the range, so the result can
+  // land anywhere and meter changes on either side are counted bar by bar
+  let events = source
+    .map(n => ({
+      offset: beatsFromMeasure(midi, measureStart, n.ticks),
+      duration: n.durationTicks / measureAtTick(midi, n.ticks).ticksPerBeat,
+      midi: n.midi,
+      velocity: n.velocity,
+    }))
+    .sort((a, b) => a.offset - b.offset || a.midi - b.midi);
+
+  let clamped = 0;
+  for (const op of operations) {
+    if (op.type === 'invert') {
+      const pivot = op.pivot === undefined ? events[0].midi
+        : typeof op.pivot === 'number' ? op.pivot : noteNameToMidi(op.pivot);
+      events = events.map(e => ({ ...e, midi: 2 * pivot - e.midi }));
+    } else if (op.type === 'retrograde') {
+      const first = Math.min(...events.map(e => e.offset));
+      const last = Math.max(...events.map(e => e.offset + e.duration));
+      events = events.map(e => ({ ...e, offset: first + last - (e.offset + e.duration) }));
+    } else if (op.type === 'augment' || op.type === 'diminish') {
+      const ratio = op.ratio ?? 2;
+      if (ratio <= 0) throw new Error('Ratio must be positive.');
+      const factor = op.type === 'augment' ? ratio : 1 / ratio;
+      events = events.map(e => ({
+        ...e,
+        offset: e.offset * factor,
+        duration: e.duration * factor,
+      }));
+    } else if (op.type === 'rotate') {
+      const pitches = events.map(e => e.midi);
+      const n = pitches.length;
+      const k = (((op.steps ?? 1) % n) + n) % n;
+      events = events.map((e, i) => ({ ...e, midi: pitches[(i + k) % n] }));
+    } else {
+      throw new Error(`Unknown operation "${op.type}". Use invert, retrograde, augment, diminish, or rotate.`);
+    }
+    events.sort((a, b) => a.offset - b.offset || a.midi - b.midi);
+  }
+
+  recordEdit(entry, 'transform_notes', { trackIndex, measureStart, measureEnd, operations, ...opts });
+  const inPlace = targetTrack === undefined && targetMeasure === undefined;
+  if (inPlace) track.notes = track.notes.filter(n => !source.includes(n));
+  const baseMeasure = targetMeasure ?? measureStart;
+  let firstTick = Infinity, lastTick = 0;
+  for (const e of events) {
+    const pitch = Math.max(0, Math.min(127, e.midi));
+    if (pitch !== e.midi) clamped++;
+    const { ticks, ticksPerBeat } = beatsToTicks(midi, baseMeasure, e.offset);
+    const durationTicks = Math.max(1, Math.round(e.duration * ticksPerBeat));
+    outTrack.addNote({
+      id: `n${++noteIdCounter}`,
+      midi: pitch,
+      ...(pitch !== e.midi && { clampedFrom: e.midi }),
+      ticks,
+      durationTicks,
+      velocity: e.velocity,
+    });
+    firstTick = Math.min(firstTick, ticks);
+    lastTick = Math.max(lastTick, ticks + durationTicks - 1);
+  }
+
+  entry.dirty = true;
+  return {
+    operations: operations.map(op => op.type),
+    sourceNotes: source.length,
+    replacedSource: inPlace,
+    written: {
+      track: targetTrack ?? trackIndex,
+      measureStart: tickToMeasureBeat(midi, firstTick).measure,
+      measureEnd: tickToMeasureBeat(midi, Math.max(firstTick, lastTick)).measure,
+    },
+    clampedCount: clamped,
+  };
+}
+
+/**
+ * Snap notes to a grid measured in the same beat unit as add_notes (the
+ * time-signature denominator), laid out from each measure's downbeat.
+ * Options:
+ *   duration   'keep' (default) moves notes whole, 'end' snaps note ends to the
+ *              grid, 'length' rounds durations to whole grid steps
+ *   strength   percent of the way to move toward the grid (default 100)
+ *   swing      percent; delays every second grid line by up to a third of a
+ *              step (100 = triplet feel)
+ *   tuplet     n-tuplet grid: n steps in the time of the next lower power of 2
+ *              (3 = triplets, 5 = quintuplets)
+ *   tolerance  percent of a grid step; positions already this close are left alone
+ */
+export function quantizeNotes(alias, trackIndex, gridBeats, measureStart, measureEnd, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+
+  const { duration = 'keep', strength = 100, swing = 0, tuplet, tolerance = 0 } = opts;
+  if (!(gridBeats > 0)) throw new Error('Grid size must be positive.');
+  if (!['keep', 'end', 'length'].includes(duration)) {
+    throw new Error(`Unknown duration mode "${duration}". Use keep, end, or length.`);
+  }
+  if (tuplet !== undefined && !(Number.isInteger(tuplet) && tuplet >= 3)) {
+    throw new Error('Tuplet must be a whole number of at least 3 (3 = triplets).');
+  }
+  // A tuplet of n fits n steps in the space of the largest power of two below n
+  const tupletRatio = tuplet ? 2 ** Math.floor(Math.log2(tuplet - 1)) / tuplet : 1;
+
+  let start = 0, end = Infinity;
+  if (measureStart !== undefined) {
+    start = measureToTicks(midi, measureStart).start;
+  }
+  if (measureEnd !== undefined) {
+    end = measureToTicks(midi, measureEnd).end;
+  }
+
+  // Grid step and nearest grid line for a tick, relative to its own measure
+  const gridAt = (tick) => {
+    const bar = measureAtTick(midi, tick);
+    const step = bar.ticksPerBeat * gridBeats * tupletRatio;
+    const line = (k) => Math.min(bar.end, Math.round(bar.start + k * step + (k % 2 ? step * swing / 300 : 0)));
+    const k = Math.round((tick - bar.start) / step);
+    let nearest = bar.end;
+    for (const cand of [line(k - 1), line(k), line(k + 1)]) {
+      if (cand >= bar.start && Math.abs(cand - tick) < Math.abs(nearest - tick)) nearest = cand;
+    }
+    return { step, nearest };
+  };
+  const pull = (from, to, step) => (
+    Math.abs(to - from) <= step * tolerance / 100 ? from : Math.round(from + (to - from) * strength / 100)
+  );
+
+  const targets = track.notes.filter(n => n.ticks >= start && n.ticks < end);
+  recordEdit(entry, 'quantize', { trackIndex, gridBeats, measureStart, measureEnd, ...opts });
+
+  const keyFor = keyResolver(midi);
+  const moved = [];
+  for (const note of targets) {
+    const oldStart = note.ticks;
+    const oldEnd = note.ticks + note.durationTicks;
+    const { step, nearest } = gridAt(oldStart);
+    const newStart = pull(oldStart, nearest, step);
+
+    let newEnd = newStart + note.durationTicks;
+    if (duration === 'end') {
+      let gridEnd = gridAt(oldEnd).nearest;
+      if (gridEnd <= nearest) gridEnd = nearest + Math.round(step);
+      newEnd = pull(oldEnd, gridEnd, step);
+    } else if (duration === 'length') {
+      const length = Math.max(1, Math.round(note.durationTicks / step)) * step;
+      newEnd = newStart + pull(note.durationTicks, Math.round(length), step);
+    }
+    if (newEnd <= newStart) newEnd = newStart + 1;
+
+    if (newStart === oldStart && newEnd === oldEnd) continue;
+    const before = tickToMeasureBeat(midi, oldStart);
+    const { ticksPerBeat } = measureAtTick(midi, oldStart);
+    note.ticks = newStart;
+    note.durationTicks = newEnd - newStart;
+    moved.push({
+      id: noteId(note),
+      name: noteLabel(track, note.midi, keyFor(oldStart)),
+      measure: before.measure,
+      beat: Math.round(before.beat * 1000) / 1000,
+      startShiftBeats: Math.round((newStart - oldStart) / ticksPerBeat * 1000) / 1000,
+      endShiftBeats: Math.round((newEnd - oldEnd) / ticksPerBeat * 1000) / 1000,
+    });
+  }
+
+  // Moved notes must stay in tick order for binary search and encoding
+  track.notes.sort((a, b) => a.ticks - b.ticks);
+
+  entry.dirty = true;
+  return {
+    trackIndex,
+    gridBeats,
+    quantizedCount: moved.length,
+    unchangedCount: targets.length - moved.length,
+    moved,
+  };
+}
+
+/**
+ * Add seeded random variation to the notes starting in a measure range.
+ * Options:
+ *   timingBeats      maximum onset shift either way, in beats (default 0.03)
+ *   velocity         maximum velocity change either way (default 8)
+ *   durationPercent  maximum length change either way, in percent (default 10)
+ *   accent           velocity added on downbeats, half on other strong beats
+ *                    of the current time signature (default 0)
+ *   seed             integer; the same seed and arguments give the same result
+ */
+export function humanizeNotes(alias, trackIndex, measureStart, measureEnd, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+
+  const {
+    timingBeats = 0.03, velocity = 8, durationPercent = 10, accent = 0,
+    seed = Math.floor(Math.random() * 2 ** 31),
+  } = opts;
+
+  let start = 0, end = Infinity;
+  if (measureStart !== undefined) {
+    start = measureToTicks(midi, measureStart).start;
+  }
+  if (measureEnd !== undefined) {
+    end = measureToTicks(midi, measureEnd).end;
+  }
+
+  const targets = track.notes
+    .filter(n => n.ticks >= start && n.ticks < end)
+    .sort((a, b) => a.ticks - b.ticks || a.midi - b.midi);
+  recordEdit(entry, 'humanize', { trackIndex, measureStart, measureEnd, ...opts, seed });
+
+  // Triangular distribution in [-1, 1]: small deviations are more likely than large ones
+  const random = seededRandom(seed);
+  const jitter = () => random() - random();
+
+  let accented = 0;
+  for (const note of targets) {
+    const bar = measureAtTick(midi, note.ticks);
+    const [num] = timeSigAtTick(midi, bar.start);
+    const beatPos = (note.ticks - bar.start) / bar.ticksPerBeat;
+
+    let vel = Math.round(note.velocity * 127) + velocity * jitter();
+    if (accent && Number.isInteger(beatPos)) {
+      const strength = beatStrength(num, beatPos);
+      if (strength) {
+        vel += accent * strength;
+        accented++;
+      }
+    }
+    note.velocity = Math.max(1, Math.min(127, Math.round(vel))) / 127;
+    note.ticks = Math.max(0, note.ticks + Math.round(timingBeats * bar.ticksPerBeat * jitter()));
+    note.durationTicks = Math.max(1, Math.round(note.durationTicks * (1 + durationPercent / 100 * jitter())));
+  }
+
+  // Moved notes must stay in tick order for binary search and encoding
+  track.notes.sort((a, b) => a.ticks - b.ticks);
+
+  entry.dirty = true;
+  return { trackIndex, seed, humanizedCount: targets.length, accentedCount: accented };
+}
+
+/** Velocity curves for ramps, mapping progress 0..1 to 0..1. */
+const RAMP_CURVES = {
+  linear: t => t,
+  exponential: t => t * t,
+  logarithmic: t => 1 - (1 - t) * (1 - t),
+  s_curve: t => t * t * (3 - 2 * t),
+};
+
+/**
+ * Shape the velocities of notes starting in a measure range. `opts.mode` is
+ *   'ramp'     crescendo/diminuendo from `from` to `to` (marking or 1-127)
+ *              over the notes in the range, following `curve`
+ *   'scale'    multiply every velocity by `percent`
+ *   'compress' pull velocities `percent` of the way toward their average
+ *   'accent'   add `amount` to notes on the given 1-based `beats`
+ *   'set'      give every note the velocity `value`
+ */
+export function shapeVelocity(alias, trackIndex, measureStart, measureEnd, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+
+  let start = 0, end = Infinity;
+  if (measureStart !== undefined) {
+    start = measureToTicks(midi, measureStart).start;
+  }
+  if (measureEnd !== undefined) {
+    end = measureToTicks(midi, measureEnd).end;
+  }
+  const targets = track.notes.filter(n => n.ticks >= start && n.ticks < end);
+  if (!targets.length) throw new Error(`No notes in the given range on track ${trackIndex}.`);
+  const velocities = targets.map(n => Math.round(n.velocity * 127));
+
+  const { mode } = opts;
+  let shape;
+  if (mode === 'ramp') {
+    if (opts.from === undefined || opts.to === undefined) throw new Error('A ramp needs from and to levels.');
+    const from = parseDynamic(opts.from);
+    const to = parseDynamic(opts.to);
+    const curve = RAMP_CURVES[opts.curve ?? 'linear'];
+    if (!curve) throw new Error(`Unknown curve "${opts.curve}". Use ${Object.keys(RAMP_CURVES).join(', ')}.`);
+    // The ramp runs from the first onset to the last, so both ends hit their level exactly
+    const first = Math.min(...targets.map(n => n.ticks));
+    const span = Math.max(...targets.map(n => n.ticks)) - first;
+    shape = (v, note) => from + (to - from) * curve(span ? (note.ticks - first) / span : 1);
+  } else if (mode === 'scale') {
+    if (opts.percent === undefined) throw new Error('Scaling needs a percent.');
+    shape = v => v * opts.percent / 100;
+  } else if (mode === 'compress') {
+    if (opts.percent === undefined) throw new Error('Compression needs a percent.');
+    const mean = velocities.reduce((a, b) => a + b, 0) / velocities.length;
+    shape = v => v + (mean - v) * opts.percent / 100;
+  } else if (mode === 'accent') {
+    if (!opts.beats?.length) throw new Error('Accents need a list of beats.');
+    const amount = opts.amount ?? 15;
+    shape = (v, note) => {
+      const bar = measureAtTick(midi, note.ticks);
+      const beat = (note.ticks - bar.start) / bar.ticksPerBeat + 1;
+      // Allow a little slack so unquantized performances still catch their accents
+      return opts.beats.some(b => Math.abs(beat - b) < 0.1) ? v + amount : v;
+    };
+  } else if (mode === 'set') {
+    if (opts.value === undefined) throw new Error('Setting velocity needs a value.');
+    const value = parseDynamic(opts.value);
+    shape = () => value;
+  } else {
+    throw new Error(`Unknown mode "${mode}". Use ramp, scale, compress, accent, or set.`);
+  }
+
+  recordEdit(entry, 'shape_velocity', { trackIndex, measureStart, measureEnd, ...opts });
+  let changed = 0;
+  targets.forEach((note, i) => {
+    const vel = Math.max(1, Math.min(127, Math.round(shape(velocities[i], note))));
+    if (vel !== velocities[i]) changed++;
+    note.velocity = vel / 127;
+  });
+
+  const result = targets.map(n => Math.round(n.velocity * 127));
+  entry.dirty = true;
+  return {
+    trackIndex,
+    mode,
+    noteCount: targets.length,
+    changedCount: changed,
+    velocityRange: { min: Math.min(...result), max: Math.max(...result) },
+  };
+}
+
+/**
+ * List controller (CC) and pitch-bend events with their measure/beat position.
+ * Pitch bends are reported as controller "pitch_bend" with values -8192..8191.
+ */
+export function listControllers(alias, opts = {}) {
+  const { midi } = requireLoaded(alias);
+  const { trackIndex, measureStart, measureEnd } = opts;
+  const only = opts.controller !== undefined ? parseController(opts.controller) : undefined;
+
+  let start = 0, end = Infinity;
+  if (measureStart !== undefined) {
+    start = measureToTicks(midi, measureStart).start;
+  }
+  if (measureEnd !== undefined) {
+    end = measureToTicks(midi, measureEnd).end;
+  }
+
+  const tracksToScan = trackIndex !== undefined
+    ? [midi.tracks[trackIndex]].filter(Boolean)
+    : midi.tracks;
+  const events = [];
+  for (const track of tracksToScan) {
+    const ti = midi.tracks.indexOf(track);
+    for (const [controller, list] of controllerLists(track)) {
+      if (only !== undefined && controller !== only) continue;
+      for (const event of list) {
+        if (event.ticks < start || event.ticks >= end) continue;
+        events.push({ track: ti, ticks: event.ticks, ...describeController(midi, controller, event) });
+      }
+    }
+  }
+  events.sort((a, b) => a.ticks - b.ticks || a.track - b.track);
+  return { count: events.length, events: events.map(({ ticks, ...e }) => e) };
+}
+
+/**
+ * Add controller or pitch-bend events. Each event is
+ * { controller: number | name | 'pitch_bend', measure, beat, value }.
+ * An existing event of the same controller at the same tick is replaced.
+ */
+export function addControllers(alias, trackIndex, events) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+
+  const planned = events.map(e => {
+    const controller = parseController(e.controller);
+    return {
+      controller,
+      ticks: measureBeatToTicks(midi, e.measure, e.beat ?? 1).ticks,
+      value: controllerValue(controller, e.value),
+    };
+  });
+
+  recordEdit(entry, 'add_controllers', { trackIndex, events });
+  for (const e of planned) writeController(track, e.controller, e.ticks, e.value);
+
+  entry.dirty = true;
+  return {
+    trackIndex,
+    addedCount: planned.length,
+    added: planned.map(e => describeController(midi, e.controller, {
+      ticks: e.ticks,
+      value: storedControllerValue(e.controller, e.value),
+    })),
+  };
+}
+
+/**
+ * Delete controller and pitch-bend events on a track, optionally only one
+ * controller and only within a measure range.
+ */
+export function deleteControllers(alias, trackIndex, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+  const only = opts.controller !== undefined ? parseController(opts.controller) : undefined;
+  const { measureStart, measureEnd } = opts;
+
+  let start = 0, end = Infinity;
+  if (measureStart !== undefined) {
+    start = measureToTicks(midi, measureStart).start;
+  }
+  if (measureEnd !== undefined) {
+    end = measureToTicks(midi, measureEnd).end;
+  }
+  const doomed = e => e.ticks >= start && e.ticks < end;
+
+  recordEdit(entry, 'delete_controllers', { trackIndex, ...opts });
+  let deleted = 0;
+  for (const [controller, list] of controllerLists(track)) {
+    if (only !== undefined && controller !== only) continue;
+    const kept = list.filter(e => !doomed(e));
+    deleted += list.length - kept.length;
+    if (controller === 'pitch_bend') track.pitchBends = kept;
+    else track.controlChanges[controller] = kept;
+  }
+
+  entry.dirty = true;
+  return { trackIndex, deletedCount: deleted };
+}
+
+/**
+ * Write a controller or pitch-bend ramp between two measure/beat positions,
+ * one event every `stepBeats`, replacing that controller's events in the span.
+ */
+export function rampController(alias, trackIndex, controllerRef, from, to, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const track = midi.tracks[trackIndex];
+  if (!track) throw new Error(`Track ${trackIndex} does not exist.`);
+
+  const controller = parseController(controllerRef);
+  const { startMeasure, startBeat = 1, endMeasure, endBeat = 1, stepBeats = 0.25 } = opts;
+  const curve = RAMP_CURVES[opts.curve ?? 'linear'];
+  if (!curve) throw new Error(`Unknown curve "${opts.curve}". Use ${Object.keys(RAMP_CURVES).join(', ')}.`);
+  if (!(stepBeats > 0)) throw new Error('Step must be positive.');
+  const startTick = measureBeatToTicks(midi, startMeasure, startBeat).ticks;
+  const endTick = measureBeatToTicks(midi, endMeasure, endBeat).ticks;
+  if (endTick <= startTick) throw new Error('The ramp must end after it starts.');
+  const fromValue = controllerValue(controller, from);
+  const toValue = controllerValue(controller, to);
+
+  // Step through in beats of whichever meter each point falls in
+  const ticks = [];
+  for (let t = startTick; t < endTick;) {
+    ticks.push(t);
+    t += Math.max(1, Math.round(stepBeats * measureAtTick(midi, t).ticksPerBeat));
+  }
+  ticks.push(endTick);
+
+  recordEdit(entry, 'ramp_controller', { trackIndex, controller: controllerRef, from, to, ...opts });
+  const [, existing] = controllerLists(track).find(([c]) => c === controller) ?? [, []];
+  const kept = existing.filter(e => e.ticks < startTick || e.ticks > endTick);
+  if (controller === 'pitch_bend') track.pitchBends = kept;
+  else track.controlChanges[controller] = kept;
+
+  const span = endTick - startTick;
+  let last;
+  for (const t of ticks) {
+    const value = Math.round(fromValue + (toValue - fromValue) * curve((t - startTick) / span));
+    // Repeated values add nothing but bytes
+    if (value === last && t !== endTick) continue;
+    writeController(track, controller, t, value);
+    last = value;
+  }
+
+  entry.dirty = true;
+  return {
+    trackIndex,
+    controller: controllerName(controller),
+    eventCount: controllerLists(track).find(([c]) => c === controller)[1]
+      .filter(e => e.ticks >= startTick && e.ticks <= endTick).length,
+    from: tickToMeasureBeat(midi, startTick),
+    to: tickToMeasureBeat(midi, endTick),
+  };
+}
+
+/**
+ * List marker, cue, lyric and text events, optionally only some `types`,
+ * one track's lyrics, or a measure range (numbers or marker names).
+ */
+export function listMarkers(alias, opts = {}) {
+  const { midi } = requireLoaded(alias);
+  const { types, trackIndex } = opts;
+  const start = opts.measureStart !== undefined ? measureToTicks(midi, measureRef(midi, opts.measureStart, 'start')).start : 0;
+  const end = opts.measureEnd !== undefined ? measureToTicks(midi, measureRef(midi, opts.measureEnd, 'end')).end : Infinity;
+  const wanted = textEventTypes(types);
+  const events = midi.header.meta
+    .filter(e => wanted.includes(e.type) && e.ticks >= start && e.ticks < end)
+    .filter(e => trackIndex === undefined || e.track === trackIndex)
+    .sort((a, b) => a.ticks - b.ticks)
+    .map(e => describeTextEvent(midi, e));
+  return { count: events.length, events };
+}
+
+/**
+ * Add marker, cue, lyric or text events. Each is { type (default 'marker'),
+ * text, and a position: measure (+ beat), time, or tick }. Lyrics may name
+ * the `track` whose notes they go with, and are saved on that track.
+ */
+export function addMarkers(alias, events) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const resolved = events.map((e) => {
+    const type = TEXT_EVENT_TYPES[e.type ?? 'marker'];
+    if (!type) throw new Error(`Unknown event type "${e.type}". Use ${Object.keys(TEXT_EVENT_TYPES).join(', ')}.`);
+    if (e.track !== undefined) {
+      if (type !== 'lyrics') throw new Error('Only lyrics belong to a track; markers, cues and text are file-wide.');
+      if (!midi.tracks[e.track]) throw new Error(`Track ${e.track} does not exist.`);
+    }
+    return {
+      type,
+      text: String(e.text),
+      ticks: positionToTick(midi, { tick: e.tick, measure: e.measure, beat: e.beat, time: e.time }),
+      ...(e.track !== undefined && { track: e.track }),
+    };
+  });
+
+  recordEdit(entry, 'add_markers', { events });
+  midi.header.meta.push(...resolved);
+  midi.header.meta.sort((a, b) => a.ticks - b.ticks);
+  entry.dirty = true;
+  return { added: resolved.map(e => describeTextEvent(midi, e)) };
+}
+
+/**
+ * Delete marker, cue, lyric or text events matching all the given filters:
+ * `types`, exact `text`, lyrics of `trackIndex`, and a measure range
+ * (numbers or marker names). With no filters every text event goes.
+ */
+export function deleteMarkers(alias, opts = {}) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  const { types, text, trackIndex } = opts;
+  const start = opts.measureStart !== undefined ? measureToTicks(midi, measureRef(midi, opts.measureStart, 'start')).start : 0;
+  const end = opts.measureEnd !== undefined ? measureToTicks(midi, measureRef(midi, opts.measureEnd, 'end')).end : Infinity;
+  const wanted = textEventTypes(types);
+  const doomed = e => wanted.includes(e.type) && e.ticks >= start && e.ticks < end
+    && (text === undefined || e.text === text)
+    && (trackIndex === undefined || e.track === trackIndex);
+
+  recordEdit(entry, 'delete_markers', opts);
+  const deleted = midi.header.meta.filter(doomed).map(e => describeTextEvent(midi, e));
+  midi.header.meta = midi.header.meta.filter(e => !doomed(e));
+  entry.dirty = true;
+  return { deletedCount: deleted.length, deleted };
+}
+
+export function insertMeasures(alias, atMeasure, count = 1) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+
+  const at = measureToTicks(midi, atMeasure).start;
+  // Inserted measures continue the meter in effect just before the insertion point
+  const gap = count * ticksPerMeasure(midi, Math.max(0, at - 1));
+
+  recordEdit(entry, 'insert_measures', { atMeasure, count });
+  const before = headerStates(midi, Math.max(0, at - 1));
+  const after = headerStates(midi, at);
+  shiftEvents(midi, at, gap);
+  pinHeaderStates(midi, at, before);
+  pinHeaderStates(midi, at + gap, after);
+  dropRedundantHeaderStates(midi);
+  midi.header.update();
+
+  entry.dirty = true;
+  return {
+    atMeasure,
+    insertedMeasures: count,
+    shiftedByTicks: gap,
+    totalMeasures: totalMeasures(midi),
+  };
+}
+
+export function removeMeasures(alias, measureStart, measureEnd) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  if (measureEnd < measureStart) throw new Error('measureEnd must not be before measureStart.');
+
+  const { start } = measureToTicks(midi, measureStart);
+  const { end } = measureToTicks(midi, measureEnd);
+  const length = end - start;
+
+  recordEdit(entry, 'remove_measures', { measureStart, measureEnd });
+  const after = headerStates(midi, end);
+  const removedNotes = cutEvents(midi, start, end);
+  shiftEvents(midi, end, -length);
+  pinHeaderStates(midi, start, after);
+  dropRedundantHeaderStates(midi);
+  midi.header.update();
+
+  entry.dirty = true;
+  return {
+    removedMeasures: measureEnd - measureStart + 1,
+    removedNotes,
+    shiftedByTicks: -length,
+    totalMeasures: totalMeasures(midi),
+  };
+}
+
+export function duplicateMeasures(alias, measureStart, measureEnd, times = 1) {
+  const entry = requireLoaded(alias);
+  const { midi } = entry;
+  if (measureEnd < measureStart) throw new Error('measureEnd must not be before measureStart.');
+
+  const { start } = measureToTicks(midi, measureStart);
+  const { end } = measureToTicks(midi, measureEnd);
+  const length = end - start;
+
+  recordEdit(entry, 'duplicate_measures', { measureStart, measureEnd, times });
+  const atStart = headerStates(midi, start);
+  const atEnd = headerStates(midi, end);
+  shiftEvents(midi, end, length * times);
+  let copiedNotes = 0;
+  for (let i = 0; i < times; i++) {
+    const offset = end + i * length - start;
+    copiedNotes += copyEvents(midi, start, end, offset);
+    pinHeaderStates(midi, start + offset, atStart);
+  }
+  pinHeaderStates(midi, end + length * times, atEnd);
+  dropRedundantHeaderStates(midi);
+  midi.header.update();
+
+  const measures = measureEnd - measureStart + 1;
+  entry.dirty = true;
+  return {
+    source: { measureStart, measureEnd },
+    copies: Array.from({ length: times }, (_, i) => ({
+      measureStart: measureEnd + 1 + i * measures,
+      measureEnd: measureEnd + (i + 1) * measures,
+    })),
+    copiedNotes,
+    totalMeasures: totalMeasures(midi),
+  };
+}
+
+/**
+ * Copy notes from a measure range on one or more tracks to a track in the same
+ * or another loaded file. Positions are carried over as measure offset + beat,
+ * so when the meters differ the beats are kept and anything that no longer
+ * fits its bar is reported.
+ */
+export function copyMeasures(source, target, opts = {}) {
+  const src = requireLoaded(source.alias).midi;
+  const entry = requireLoaded(target.alias);
+  const dst = entry.midi;
+  const dstTrack = dst.tracks[target.track];
+  if (!dstTrack) throw new Error(`Track ${target.track} does not exist in "${target.alias}".`);
+  const srcTrackIndexes = source.tracks ?? src.tracks.map((_, i) => i);
+  for (const ti of srcTrackIndexes) {
+    if (!src.tracks[ti]) throw new Error(`Track ${ti} does not exist in "${source.alias}".`);
+  }
+  if (source.measureEnd < source.measureStart) throw new Error('measureEnd must not be before measureStart.');
+
+  const { repeat = 1, transpose = 0, mode = 'merge' } = opts;
+  const length = source.measureEnd - source.measureStart + 1;
+  const lastMeasure = target.measure + length * repeat - 1;
+
+  // Read the source before touching anything, it may be the same file
+  const { start } = measureToTicks(src, source.measureStart);
+  const { end } = measureToTicks(src, source.measureEnd);
+  const clips = [];
+  for (const ti of srcTrackIndexes) {
+    for (const note of src.tracks[ti].notes) {
+      if (note.ticks < start || note.ticks >= end) continue;
+      const pos = tickToMeasureBeat(src, note.ticks);
+      const [, den] = timeSigAtTick(src, note.ticks);
+      clips.push({
+        offset: pos.measure - source.measureStart,
+        beat: pos.beat,
+        durationBeats: note.durationTicks / (src.header.ppq * (4 / den)),
+        midi: note.midi,
+        velocity: note.velocity,
+      });
+    }
+  }
+
+  const warnings = [];
+  for (let i = 0; i < length; i++) {
+    const srcSig = timeSigAtTick(src, measureToTicks(src, source.measureStart + i).start).join('/');
+    for (let r = 0; r < repeat; r++) {
+      const m = target.measure + r * length + i;
+      const dstSig = timeSigAtTick(dst, measureToTicks(dst, m).start).join('/');
+      if (srcSig !== dstSig) {
+        warnings.push(`Measure ${source.measureStart + i} is ${srcSig} but target measure ${m} is ${dstSig}; beat positions kept.`);
+      }
+    }
+  }
+
+  recordEdit(entry, 'copy_measures', { source, target, ...opts });
+  let replacedNotes = 0;
+  if (mode === 'replace') {
+    const from = measureToTicks(dst, target.measure).start;
+    const to = measureToTicks(dst, lastMeasure).end;
+    const before = dstTrack.notes.length;
+    dstTrack.notes = dstTrack.notes.filter(n => n.ticks < from || n.ticks >= to);
+    replacedNotes = before - dstTrack.notes.length;
+  }
+
+  let clamped = 0;
+  for (let r = 0; r < repeat; r++) {
+    for (const c of clips) {
+      const measure = target.measure + r * length + c.offset;
+      const pitch = Math.max(0, Math.min(127, c.midi + transpose));
+      if (pitch !== c.midi + transpose) clamped++;
+      const [num] = timeSigAtTick(dst, measureToTicks(dst, measure).start);
+      if (c.beat >= num + 1) {
+        warnings.push(`${midiToNoteName(pitch)} at beat ${Math.round(c.beat * 100) / 100} overflows measure ${measure} (${num} beats).`);
+      }
+      const { ticks, ticksPerBeat } = measureBeatToTicks(dst, measure, c.beat);
+      dstTrack.addNote({
+        id: `n${++noteIdCounter}`,
+        midi: pitch,
+        ...(pitch !== c.midi + transpose && { clampedFrom: c.midi + transpose }),
+        ticks,
+        durationTicks: Math.round(c.durationBeats * ticksPerBeat),
+        velocity: c.velocity,
+      });
+    }
+  }
+  if (clamped) warnings.push(`${clamped} note(s) clamped to the MIDI range 0-127 by the transpose.`);
+
+  entry.dirty = true;
+  return {
+    target: { alias: target.alias, track: target.track, measureStart: target.measure, measureEnd: lastMeasure },
+    copiedNotes: clips.length * repeat,
+    replacedNotes,
+    warnings,
+  };
+}
+
+// ── Internal helpers ─────────────────────────────────────────────────────────
+
+function noteNameToMidi(name) {
+  const match = name.match(/^([A-Ga-g])(#{0,2}|b{0,2})(-?\d+)$/);
+  if (!match) throw new Error(`Invalid note name: "${name}". Use format like C4, F#3, Bb5.`);
+  const [, letter, accidental, octaveStr] = match;
+  const base = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }[letter.toUpperCase()];
+  const acc = accidental.split('').reduce((sum, ch) => sum + (ch === '#' ? 1 : -1), 0);
+  const octave = parseInt(octaveStr, 10);
+  const midi = (octave + 1) * 12 + base + acc;
+  if (midi < 0 || midi > 127) throw new Error(`Note "${name}" results in MIDI number ${midi}, out of range 0-127.`);
+  return midi;
+}
+
+/**
+ * Set a note's pitch, clamped to the MIDI range 0-127. A clamped note keeps
+ * the pitch it should have had in `clampedFrom`, for lint_midi to report and
+ * repair. Returns whether it was clamped.
+ */
+function clampPitch(note, pitch) {
+  note.midi = Math.max(0, Math.min(127, pitch));
+  if (note.midi === pitch) {
+    delete note.clampedFrom;
+    return false;
+  }
+  note.clampedFrom = pitch;
+  return true;
+}
+
+/**
+ * Whether a note still sits where a clamp left it. Other edits move notes
+ * without clearing `clampedFrom`, so a tagged note off 0/127 is no longer
+ * clamped.
+ */
+function isClamped(note) {
+  return note.clampedFrom !== undefined && (note.midi === 0 || note.midi === 127);
+}
+
+/**
+ * Deterministic pseudo-random generator (mulberry32) returning floats in [0, 1).
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Metric weight of a beat (0-based) in a bar of `numerator` beats: 1 for the
+ * downbeat, 0.5 for secondary strong beats, 0 otherwise. Compound meters
+ * (6, 9, 12) group beats in threes; 5 and 7 are felt as 3+2 and 4+3.
+ */
+function beatStrength(numerator, beat) {
+  if (beat === 0) return 1;
+  if (numerator > 3 && numerator % 3 === 0) return beat % 3 === 0 ? 0.5 : 0;
+  if (numerator === 5) return beat === 3 ? 0.5 : 0;
+  if (numerator === 7) return beat === 4 ? 0.5 : 0;
+  if (numerator >= 4 && numerator % 2 === 0) return beat % (numerator / 2) === 0 ? 0.5 : 0;
+  return 0;
+}
+
+/** Friendly names for common controller numbers. */
+const CONTROLLER_NAMES = {
+  0: 'bank_select', 1: 'modulation', 2: 'breath', 4: 'foot', 5: 'portamento_time', 7: 'volume',
+  8: 'balance', 10: 'pan', 11: 'expression', 64: 'sustain', 65: 'portamento', 66: 'sostenuto',
+  67: 'soft_pedal', 71: 'resonance', 72: 'release', 73: 'attack', 74: 'brightness', 91: 'reverb',
+  93: 'chorus', 121: 'reset_controllers', 123: 'all_notes_off',
+};
+
+const CONTROLLER_NUMBERS = Object.fromEntries(
+  Object.entries(CONTROLLER_NAMES).map(([number, name]) => [name, Number(number)]),
+);
+
+/**
+ * Resolve a controller given as a number, a name ("sustain", "cc11"), or
+ * "pitch_bend". Returns the CC number or the string 'pitch_bend'.
+ */
+function parseController(ref) {
+  if (typeof ref === 'number') {
+    if (!Number.isInteger(ref) || ref < 0 || ref > 127) throw new Error(`Controller ${ref} is out of range 0-127.`);
+    return ref;
+  }
+  const text = String(ref).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (['pitch_bend', 'pitchbend', 'bend', 'pb'].includes(text)) return 'pitch_bend';
+  if (CONTROLLER_NUMBERS[text] !== undefined) return CONTROLLER_NUMBERS[text];
+  const match = text.match(/^(?:cc)?_?(\d+)$/);
+  if (match) return parseController(Number(match[1]));
+  throw new Error(`Unknown controller "${ref}". Use a CC number 0-127, a name like sustain/volume/expression/pan/modulation, or pitch_bend.`);
+}
+
+function controllerName(controller) {
+  if (controller === 'pitch_bend') return 'pitch_bend';
+  return CONTROLLER_NAMES[controller] ?? `cc${controller}`;
+}
+
+/**
+ * Validate a user-facing value: 0-127 for CCs, -8192..8191 for pitch bend.
+ */
+function controllerValue(controller, value) {
+  const [min, max] = controller === 'pitch_bend' ? [-8192, 8191] : [0, 127];
+  if (typeof value !== 'number' || value < min || value > max) {
+    throw new Error(`Value ${value} for ${controllerName(controller)} is out of range ${min} to ${max}.`);
+  }
+  return Math.round(value);
+}
+
+/**
+ * [controller, events] pairs for every CC number in use and for pitch bends.
+ */
+function controllerLists(track) {
+  const lists = Object.keys(track.controlChanges)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(number => [number, track.controlChanges[number]]);
+  if (track.pitchBends.length) lists.push(['pitch_bend', track.pitchBends]);
+  return lists;
+}
+
+/**
+ * Convert a user-facing value to the scale @tonejs/midi stores (CC / 127, bend / 8192).
+ */
+function storedControllerValue(controller, value) {
+  return controller === 'pitch_bend' ? value / 8192 : value / 127;
+}
+
+/**
+ * Write a controller event, replacing any event of the same controller at the same tick.
+ */
+function writeController(track, controller, ticks, value) {
+  const stored = storedControllerValue(controller, value);
+  if (controller === 'pitch_bend') {
+    track.pitchBends = track.pitchBends.filter(e => e.ticks !== ticks);
+    track.addPitchBend({ ticks, value: stored });
+  } else {
+    if (track.controlChanges[controller]) {
+      track.controlChanges[controller] = track.controlChanges[controller].filter(e => e.ticks !== ticks);
+    }
+    track.addCC({ number: controller, ticks, value: stored });
+  }
+}
+
+function describeController(midi, controller, event) {
+  const pos = tickToMeasureBeat(midi, event.ticks);
+  return {
+    controller,
+    name: controllerName(controller),
+    measure: pos.measure,
+    beat: Math.round(pos.beat * 100) / 100,
+    value: controller === 'pitch_bend' ? Math.round(event.value * 8192) : Math.round(event.value * 127),
+  };
+}
+
+/**
+ * Group a track's notes into monophonic voices of chord events { start, end,
+ * notes }: notes sharing an onset and length form a chord, and anything that
+ * overlaps an earlier event goes to the next free voice.
+ */
+function splitVoices(notes) {
+  const events = [];
+  for (const note of [...notes].sort((a, b) => a.ticks - b.ticks || b.durationTicks - a.durationTicks)) {
+    const end = note.ticks + note.durationTicks;
+    const last = events[events.length - 1];
+    if (last && last.start === note.ticks && last.end === end) last.notes.push(note);
+    else events.push({ start: note.ticks, end, notes: [note] });
+  }
+  const voices = [];
+  for (const event of events) {
+    event.notes.sort((a, b) => a.midi - b.midi);
+    let voice = voices.find(v => v.cursor <= event.start);
+    if (!voice) {
+      voice = { cursor: 0, events: [] };
+      voices.push(voice);
+    }
+    voice.events.push(event);
+    voice.cursor = event.end;
+  }
+  return voices.map(v => v.events);
+}
+
+/**
+ * The melodic lines of a track between two ticks: the top line (highest
+ * note at each onset) and the top of each voice from splitVoices, without
+ * repeats. Each is a list of { midi, gap, length, note } as pattern.js
+ * expects, with beats measured in the time signature's beat unit.
+ */
+function melodicLines(midi, track, start, end) {
+  const notes = track.notes.filter(n => n.ticks >= start && n.ticks < end);
+  const top = [];
+  for (const note of [...notes].sort((a, b) => a.ticks - b.ticks || b.midi - a.midi)) {
+    if (top[top.length - 1]?.ticks !== note.ticks) top.push(note);
+  }
+  const lines = [top, ...splitVoices(notes).map(events => events.map(e => e.notes[e.notes.length - 1]))];
+  const unique = new Map(lines.filter(l => l.length).map(l => [l.map(noteId).join(','), l]));
+  return [...unique.values()].map(line => line.map((note, i) => {
+    const { ticksPerBeat } = measureAtTick(midi, note.ticks);
+    return {
+      midi: note.midi,
+      gap: i < line.length - 1 ? (line[i + 1].ticks - note.ticks) / ticksPerBeat : undefined,
+      length: track.channel === DRUM_CHANNEL ? undefined : note.durationTicks / ticksPerBeat,
+      note,
+    };
+  }));
+}
+
+/**
+ * Track indices to export: the ones asked for, or every track with notes.
+ */
+function exportTracks(midi, tracks) {
+  const indices = tracks ?? midi.tracks.map((t, i) => i).filter(i => midi.tracks[i].notes.length);
+  for (const i of indices) {
+    if (!midi.tracks[i]) throw new Error(`Track ${i} does not exist.`);
+  }
+  return indices;
+}
+
+/**
+ * The channels a track's notes are on: their own (set by merge_tracks) or
+ * the track's.
+ */
+function noteChannels(track) {
+  const channels = new Set(track.notes.map(n => n.channel ?? track.channel));
+  return [...channels].sort((a, b) => a - b);
+}
+
+/**
+ * Decide which notes of a keyboard part the left hand plays. Notes starting
+ * together are split where the two hands' recent positions fit them best,
+ * with a penalty for stretching one hand past a tenth. Returns the set of
+ * left-hand notes.
+ */
+function assignHands(notes) {
+  const left = new Set();
+  let leftPosition = 48;
+  let rightPosition = 67;
+  const groups = [];
+  for (const note of [...notes].sort((a, b) => a.ticks - b.ticks || a.midi - b.midi)) {
+    const last = groups[groups.length - 1];
+    if (last && last[0].ticks === note.ticks) last.push(note);
+    else groups.push([note]);
+  }
+  for (const group of groups) {
+    let best = null;
+    for (let k = 0; k <= group.length; k++) {
+      const lower = group.slice(0, k);
+      const upper = group.slice(k);
+      const stretch = hand => (hand.length ? Math.max(0, hand[hand.length - 1].midi - hand[0].midi - 16) * 10 : 0);
+      const cost = lower.reduce((sum, n) => sum + Math.abs(n.midi - leftPosition), 0)
+        + upper.reduce((sum, n) => sum + Math.abs(n.midi - rightPosition), 0)
+        + stretch(lower) + stretch(upper);
+      if (!best || cost < best.cost) best = { cost, lower, upper };
+    }
+    const average = hand => hand.reduce((sum, n) => sum + n.midi, 0) / hand.length;
+    if (best.lower.length) leftPosition = average(best.lower);
+    if (best.upper.length) rightPosition = average(best.upper);
+    // Keep the hands from drifting through each other
+    if (rightPosition - leftPosition < 5) {
+      const middle = (leftPosition + rightPosition) / 2;
+      leftPosition = middle - 2.5;
+      rightPosition = middle + 2.5;
+    }
+    for (const n of best.lower) left.add(n);
+  }
+  return left;
+}
+
+/**
+ * Lay a track out for notation: its voices (see splitVoices), each as one
+ * list of events per bar in `bars`. Events are { durationTicks, pitches,
+ * tieStart, tieStop, velocity } with pitches as { letter, alter, octave }
+ * spelled for the key (null for rests); notes crossing a bar line are split
+ * into tied segments, and gaps are filled with rests.
+ */
+function voiceMeasures(track, bars, keyFor) {
+  const percussion = track.channel === DRUM_CHANNEL;
+  return splitVoices(track.notes).map((events) => {
+    const measures = bars.map(() => []);
+    const emit = (start, end, pitches, velocity) => {
+      let b = bars.findIndex(bar => bar.end > start);
+      for (let t = start; t < end && b !== -1 && b < bars.length; b++) {
+        const segmentEnd = Math.min(end, bars[b].end);
+        measures[b].push({
+          durationTicks: segmentEnd - t,
+          pitches,
+          tieStart: Boolean(pitches) && segmentEnd < end,
+          tieStop: Boolean(pitches) && t > start,
+          velocity,
+        });
+        t = segmentEnd;
+      }
+    };
+    let cursor = bars[0].start;
+    for (const event of events) {
+      if (event.start > cursor) emit(cursor, event.start, null);
+      const key = percussion ? null : keyFor(event.start);
+      emit(event.start, event.end, event.notes.map(n => {
+        const [, letter, acc, octave] = midiToNoteName(n.midi, key).match(/^([A-G])([#b]*)(-?\d+)$/);
+        const alter = [...acc].reduce((sum, ch) => sum + (ch === '#' ? 1 : -1), 0);
+        return { letter, alter, octave: Number(octave) };
+      }), Math.round(event.notes.reduce((sum, n) => sum + n.velocity, 0) / event.notes.length * 127));
+      cursor = event.end;
+    }
+    const last = bars[bars.length - 1].end;
+    if (cursor < last) emit(cursor, last, null);
+    return measures;
+  });
+}
+
+/** Velocities for step-pattern hits: accent, normal, ghost. */
+const DRUM_HIT_VELOCITY = { X: 120, x: 100, o: 45 };
+
+/**
+ * Render a percussion track's hits in [start, end) as step strings per drum,
+ * the inverse of add_drum_pattern.
+ */
+function drumGridRows(track, start, end, stepTicks) {
+  const count = Math.ceil((end - start) / stepTicks);
+  const rows = {};
+  for (const note of track.notes) {
+    if (note.ticks < start || note.ticks >= end) continue;
+    const name = drumName(note.midi);
+    rows[name] ??= Array(count).fill('.');
+    const vel = Math.round(note.velocity * 127);
+    const step = Math.min(count - 1, Math.round((note.ticks - start) / stepTicks));
+    rows[name][step] = vel >= 110 ? 'X' : vel < 64 ? 'o' : 'x';
+  }
+  return Object.fromEntries(Object.entries(rows).map(([name, steps]) => [name, steps.join('')]));
+}
+
+// ── Timeline editing ─────────────────────────────────────────────────────────
+
+/**
+ * Header event lists that hold a state (the last event at or before a tick is
+ * in effect), with a key that identifies the state regardless of position.
+ */
+const HEADER_STATE_LISTS = {
+  tempos: e => `${e.bpm}`,
+  timeSignatures: e => e.timeSignature.join('/'),
+  keySignatures: e => `${e.key} ${e.scale}`,
+};
+
+/**
+ * Yield every tick-positioned event array on every track: notes, one array
+ * per controller number, and pitch bends.
+ */
+function* trackEventLists(midi) {
+  for (const track of midi.tracks) {
+    yield track.notes;
+    for (const number of Object.keys(track.controlChanges)) yield track.controlChanges[number];
+    yield track.pitchBends;
+  }
+}
+
+function headerEventLists(midi) {
+  const h = midi.header;
+  return [h.tempos, h.timeSignatures, h.keySignatures, h.meta];
+}
+
+function sortEventLists(midi) {
+  for (const list of trackEventLists(midi)) list.sort((a, b) => a.ticks - b.ticks);
+  for (const list of headerEventLists(midi)) list.sort((a, b) => a.ticks - b.ticks);
+}
+
+/**
+ * Capture the tempo, meter and key events in effect at a tick.
+ */
+function headerStates(midi, tick) {
+  const states = {};
+  for (const name of Object.keys(HEADER_STATE_LISTS)) {
+    let current = null;
+    for (const e of midi.header[name]) {
+      if (e.ticks <= tick) current = e;
+      else break;
+    }
+    states[name] = current;
+  }
+  return states;
+}
+
+/**
+ * Make sure the states captured by headerStates are in effect at `tick`,
+ * inserting a copy of the event there when they are not.
+ */
+function pinHeaderStates(midi, tick, states) {
+  for (const [name, key] of Object.entries(HEADER_STATE_LISTS)) {
+    const wanted = states[name];
+    if (!wanted) continue;
+    const current = headerStates(midi, tick)[name];
+    if (current && key(current) === key(wanted)) continue;
+    const list = midi.header[name].filter(e => e.ticks !== tick);
+    list.push({ ...structuredClone(wanted), ticks: tick });
+    list.sort((a, b) => a.ticks - b.ticks);
+    midi.header[name] = list;
+  }
+}
+
+/**
+ * Drop tempo/meter/key events that merely restate the state before them,
+ * which the seam pinning above can leave behind.
+ */
+function dropRedundantHeaderStates(midi) {
+  for (const [name, key] of Object.entries(HEADER_STATE_LISTS)) {
+    midi.header[name] = midi.header[name].filter((e, i, list) => i === 0 || key(e) !== key(list[i - 1]));
+  }
+}
+
+/**
+ * Move every event at or after `fromTick` by `delta` ticks, on all tracks and
+ * in the header. Callers re-pin header states around the seam.
+ */
+function shiftEvents(midi, fromTick, delta) {
+  for (const list of [...trackEventLists(midi), ...headerEventLists(midi)]) {
+    for (const e of list) {
+      if (e.ticks >= fromTick) e.ticks += delta;
+    }
+  }
+  sortEventLists(midi);
+}
+
+/**
+ * Delete everything in [start, end). Notes that start earlier and sound into
+ * the range are shortened so they end where the range began (or keep sounding
+ * past it, minus the removed length). Returns the number of notes removed.
+ */
+function cutEvents(midi, start, end) {
+  const length = end - start;
+  let removed = 0;
+  for (const track of midi.tracks) {
+    const before = track.notes.length;
+    track.notes = track.notes.filter(n => n.ticks < start || n.ticks >= end);
+    removed += before - track.notes.length;
+    for (const n of track.notes) {
+      const noteEnd = n.ticks + n.durationTicks;
+      if (n.ticks < start && noteEnd > start) {
+        n.durationTicks = (noteEnd > end ? noteEnd - length : start) - n.ticks;
+      }
+    }
+    for (const number of Object.keys(track.controlChanges)) {
+      track.controlChanges[number] = track.controlChanges[number].filter(e => e.ticks < start || e.ticks >= end);
+    }
+    track.pitchBends = track.pitchBends.filter(e => e.ticks < start || e.ticks >= end);
+  }
+  const h = midi.header;
+  for (const name of [...Object.keys(HEADER_STATE_LISTS), 'meta']) {
+    h[name] = h[name].filter(e => e.ticks < start || e.ticks >= end);
+  }
+  return removed;
+}
+
+/**
+ * Copy every event in [start, end) to the same position plus `offset` ticks,
+ * on the same track. Copied notes get fresh ids. Returns the number of notes copied.
+ */
+function copyEvents(midi, start, end, offset) {
+  const inRange = e => e.ticks >= start && e.ticks < end;
+  let copied = 0;
+  for (const track of midi.tracks) {
+    for (const n of track.notes.filter(inRange)) {
+      track.addNote({
+        id: `n${++noteIdCounter}`,
+        midi: n.midi,
+        ticks: n.ticks + offset,
+        durationTicks: n.durationTicks,
+        velocity: n.velocity,
+        noteOffVelocity: n.noteOffVelocity,
+      });
+      copied++;
+    }
+    for (const number of Object.keys(track.controlChanges)) {
+      for (const cc of track.controlChanges[number].filter(inRange)) {
+        track.addCC({ number: cc.number, ticks: cc.ticks + offset, value: cc.value });
+      }
+    }
+    for (const pb of track.pitchBends.filter(inRange)) {
+      track.addPitchBend({ ticks: pb.ticks + offset, value: pb.value });
+    }
+  }
+  for (const list of headerEventLists(midi)) {
+    for (const e of list.filter(inRange)) {
+      list.push({ ...structuredClone(e), ticks: e.ticks + offset });
+    }
+  }
+  sortEventLists(midi);
+  return copied;
+}
+
+// ── Encoding ─────────────────────────────────────────────────────────────────
+
+/**
+ * Serialize a Midi object to standard MIDI file bytes. Midi.toArray() writes
+ * key signatures as (index + 7) into its Cb..C# table instead of the signed
+ * number of fifths, so the file is re-parsed and those events corrected.
+ */
+function encodeMidi(midi) {
+  // @tonejs/midi parses bends into -1..1 but writes the value back unscaled,
+  // so hand it 14-bit values for the duration of the encode
+  const bends = midi.tracks.map(t => t.pitchBends.map(pb => pb.value));
+  // It also writes every meta event into the first track; lyrics go on their own
+  const meta = midi.header.meta;
+  let bytes;
+  try {
+    for (const track of midi.tracks) {
+      for (const pb of track.pitchBends) pb.value = Math.max(-8192, Math.min(8191, Math.round(pb.value * 8192)));
+    }
+    midi.header.meta = meta.filter(e => !midi.tracks[e.track]);
+    bytes = midi.toArray();
+  } finally {
+    midi.tracks.forEach((t, i) => t.pitchBends.forEach((pb, j) => { pb.value = bends[i][j]; }));
+    midi.header.meta = meta;
+  }
+  const data = parseMidi(bytes);
+  for (const track of data.tracks) {
+    for (const event of track) {
+      if (event.type === 'keySignature') event.key -= 14;
+    }
+  }
+  for (const e of meta.filter(e => midi.tracks[e.track])) {
+    insertRawEvent(data.tracks[e.track + 1], e.ticks, { meta: true, type: e.type, text: e.text });
+  }
+  return Buffer.from(writeMidi(data));
 }
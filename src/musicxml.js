@@ -0,0 +1,214 @@
+/**
+ * MusicXML (partwise, 4.0) writer. Pure text handling — nothing here knows
+ * about Midi objects; the engine lays tracks out into measures and voices.
+ */
+
+/** Note types and their length in quarter notes, longest first. */
+const NOTE_TYPES = [
+  ['whole', 4], ['half', 2], ['quarter', 1], ['eighth', 0.5], ['16th', 0.25], ['32nd', 0.125], ['64th', 0.0625],
+];
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[ch]);
+}
+
+/**
+ * The written value of a duration in divisions: { type, dots, triplet }, or
+ * null if no single (optionally dotted or triplet) note value fits exactly.
+ */
+function noteValue(duration, divisions) {
+  for (const triplet of [false, true]) {
+    for (const [type, quarters] of NOTE_TYPES) {
+      for (let dots = 0; dots <= 2; dots++) {
+        const value = quarters * divisions * (2 - 1 / 2 ** dots) * (triplet ? 2 / 3 : 1);
+        if (Math.abs(value - duration) < 1e-6) return { type, dots, triplet };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Split a duration into written note values, longest first, to be tied
+ * together. Whatever is left below a 64th note is added to the last piece.
+ */
+function splitDuration(duration, divisions) {
+  const single = noteValue(duration, divisions);
+  if (single) return [{ duration, ...single }];
+  const pieces = [];
+  let left = duration;
+  for (const [type, quarters] of NOTE_TYPES) {
+    const value = quarters * divisions;
+    if (!Number.isInteger(value)) break;
+    while (left >= value) {
+      pieces.push({ duration: value, type, dots: 0, triplet: false });
+      left -= value;
+    }
+  }
+  if (!pieces.length) return [{ duration, type: '64th', dots: 0, triplet: false }];
+  pieces[pieces.length - 1].duration += left;
+  return pieces;
+}
+
+/** Accidental name for an alteration shown explicitly. */
+const ACCIDENTALS = { '-2': 'flat-flat', '-1': 'flat', 0: 'natural', 1: 'sharp', 2: 'double-sharp' };
+
+const SHARP_ORDER = 'FCGDAEB';
+
+function keyAlterations(fifths) {
+  const letters = fifths >= 0 ? SHARP_ORDER.slice(0, fifths) : [...SHARP_ORDER].reverse().join('').slice(0, -fifths);
+  return Object.fromEntries([...letters].map(l => [l, fifths >= 0 ? 1 : -1]));
+}
+
+function formatAttributes(attributes, divisions, first) {
+  const lines = ['      <attributes>'];
+  if (first) lines.push(`        <divisions>${divisions}</divisions>`);
+  if (attributes.key) {
+    lines.push('        <key>', `          <fifths>${attributes.key.fifths}</fifths>`);
+    if (attributes.key.mode) lines.push(`          <mode>${attributes.key.mode}</mode>`);
+    lines.push('        </key>');
+  }
+  if (attributes.time) {
+    lines.push('        <time>', `          <beats>${attributes.time[0]}</beats>`,
+      `          <beat-type>${attributes.time[1]}</beat-type>`, '        </time>');
+  }
+  if (attributes.clef) {
+    const [sign, line] = attributes.clef;
+    lines.push('        <clef>', `          <sign>${sign}</sign>`);
+    if (line) lines.push(`          <line>${line}</line>`);
+    lines.push('        </clef>');
+  }
+  lines.push('      </attributes>');
+  return lines;
+}
+
+function formatTempo(tempo) {
+  const bpm = Math.round(tempo.bpm * 100) / 100;
+  return [
+    '      <direction placement="above">',
+    '        <direction-type>',
+    '          <metronome>',
+    '            <beat-unit>quarter</beat-unit>',
+    `            <per-minute>${bpm}</per-minute>`,
+    '          </metronome>',
+    '        </direction-type>',
+    ...(tempo.offset ? [`        <offset sound="yes">${tempo.offset}</offset>`] : []),
+    `        <sound tempo="${bpm}"/>`,
+    '      </direction>',
+  ];
+}
+
+/**
+ * Write one note (or rest) piece. `pitch` is { letter, alter, octave } or
+ * null; `accidental` is shown when set.
+ */
+function formatNote(piece, pitch, { chord, voice, tieStart, tieStop, accidental, measureRest }) {
+  const lines = ['      <note>'];
+  if (chord) lines.push('        <chord/>');
+  if (pitch) {
+    lines.push('        <pitch>', `          <step>${pitch.letter}</step>`);
+    if (pitch.alter) lines.push(`          <alter>${pitch.alter}</alter>`);
+    lines.push(`          <octave>${pitch.octave}</octave>`, '        </pitch>');
+  } else {
+    lines.push(measureRest ? '        <rest measure="yes"/>' : '        <rest/>');
+  }
+  lines.push(`        <duration>${piece.duration}</duration>`);
+  if (tieStop) lines.push('        <tie type="stop"/>');
+  if (tieStart) lines.push('        <tie type="start"/>');
+  lines.push(`        <voice>${voice}</voice>`);
+  if (!measureRest) {
+    lines.push(`        <type>${piece.type}</type>`);
+    for (let d = 0; d < piece.dots; d++) lines.push('        <dot/>');
+  }
+  if (accidental !== undefined) lines.push(`        <accidental>${ACCIDENTALS[accidental]}</accidental>`);
+  if (piece.triplet) {
+    lines.push('        <time-modification>', '          <actual-notes>3</actual-notes>',
+      '          <normal-notes>2</normal-notes>', '        </time-modification>');
+  }
+  if (tieStart || tieStop) {
+    lines.push('        <notations>');
+    if (tieStop) lines.push('          <tied type="stop"/>');
+    if (tieStart) lines.push('          <tied type="start"/>');
+    lines.push('        </notations>');
+  }
+  lines.push('      </note>');
+  return lines;
+}
+
+/**
+ * Format a score. `score` is { title, divisions, parts } where each part is
+ * { name, channel (1-16), program, measures } and each measure is { length,
+ * attributes?: { key?: { fifths, mode }, time?: [n, d], clef?: [sign, line] },
+ * tempos?: [{ offset, bpm }], voices: [[events]] }. Events are { duration,
+ * pitches, tieStart, tieStop } in divisions per quarter note, pitches as
+ * { letter, alter, octave } (null for a rest). Returns the XML text.
+ */
+export function formatMusicXml(score) {
+  const { divisions } = score;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+  ];
+  if (score.title) lines.push('  <work>', `    <work-title>${escapeXml(score.title)}</work-title>`, '  </work>');
+
+  lines.push('  <part-list>');
+  score.parts.forEach((part, p) => {
+    const id = `P${p + 1}`;
+    lines.push(`    <score-part id="${id}">`, `      <part-name>${escapeXml(part.name)}</part-name>`);
+    lines.push(`      <midi-instrument id="${id}-I1">`, `        <midi-channel>${part.channel}</midi-channel>`);
+    if (part.program !== undefined) lines.push(`        <midi-program>${part.program + 1}</midi-program>`);
+    lines.push('      </midi-instrument>', '    </score-part>');
+  });
+  lines.push('  </part-list>');
+
+  score.parts.forEach((part, p) => {
+    lines.push(`  <part id="P${p + 1}">`);
+    let alterations = {};
+    part.measures.forEach((measure, m) => {
+      lines.push(`    <measure number="${m + 1}">`);
+      if (measure.attributes) {
+        if (measure.attributes.key) alterations = keyAlterations(measure.attributes.key.fifths);
+        lines.push(...formatAttributes(measure.attributes, divisions, m === 0));
+      }
+      for (const tempo of measure.tempos ?? []) lines.push(...formatTempo(tempo));
+
+      // Accidentals hold to the end of the measure, across voices
+      const shown = {};
+      const voices = measure.voices.filter((events, v) => v === 0 || events.some(e => e.pitches));
+      voices.forEach((events, v) => {
+        if (v > 0) lines.push('      <backup>', `        <duration>${measure.length}</duration>`, '      </backup>');
+        if (!events.some(e => e.pitches)) {
+          lines.push(...formatNote({ duration: measure.length }, null, { voice: v + 1, measureRest: true }));
+          return;
+        }
+        for (const event of events) {
+          const pieces = splitDuration(event.duration, divisions);
+          pieces.forEach((piece, i) => {
+            const tieStart = event.pitches && (i < pieces.length - 1 || event.tieStart);
+            const tieStop = event.pitches && (i > 0 || event.tieStop);
+            if (!event.pitches) {
+              lines.push(...formatNote(piece, null, { voice: v + 1 }));
+              return;
+            }
+            event.pitches.forEach((pitch, k) => {
+              const slot = `${pitch.letter}${pitch.octave}`;
+              const implied = shown[slot] ?? alterations[pitch.letter] ?? 0;
+              let accidental;
+              if (pitch.alter !== implied && !tieStop) {
+                accidental = pitch.alter;
+                shown[slot] = pitch.alter;
+              }
+              lines.push(...formatNote(piece, pitch, { chord: k > 0, voice: v + 1, tieStart, tieStop, accidental }));
+            });
+          });
+        }
+      });
+      lines.push('    </measure>');
+    });
+    lines.push('  </part>');
+  });
+
+  lines.push('</score-partwise>');
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,233 @@
+/**
+ * Compact text notation for notes, e.g.
+ *
+ *   m1: C4/q E4/q G4/q [C4 E4 G4]/q | m2: @96 D4/h~ & G3/w | m3: D4/q r/q B3/h
+ *
+ * Measures are separated by "|" and may start with "m<N>:" (otherwise they
+ * follow the previous one). Within a measure, "&" separates voices; each voice
+ * starts on the downbeat and its tokens follow one another:
+ *   C4/q        pitch (or drum name) with a duration
+ *   [C4 E4]/h   chord; pitches may carry their own velocity: [C4@90 E4@70]/h
+ *   r/e         rest
+ *   ~           suffix: tie into the same pitch in the same voice next
+ *   @mf, @96    standalone: velocity for the following notes;
+ *               as a suffix (C4/q@110): velocity for that note only
+ * Durations are note values: w h q e s t (whole … 32nd), "." and ".." for
+ * dots, a trailing "3" for triplets (e3), or a number of quarter notes (1.25).
+ *
+ * Pure text handling — callers supply pitch parsing and measure positions.
+ */
+
+import { parseDynamic } from './theory.js';
+
+/** Note values in quarter notes. */
+const NOTE_VALUES = { w: 4, h: 2, q: 1, e: 0.5, s: 0.25, t: 0.125 };
+
+const EPSILON = 1e-6;
+
+/**
+ * Read a duration code ("q", "e.", "s3", "1.5") as a number of quarter notes.
+ */
+function parseDuration(text) {
+  const match = text.match(/^([whqest])(\.{0,2})(3?)$/);
+  if (match) {
+    const [, letter, dots, triplet] = match;
+    let q = NOTE_VALUES[letter] * (dots === '.' ? 1.5 : dots === '..' ? 1.75 : 1);
+    if (triplet) q *= 2 / 3;
+    return q;
+  }
+  if (/^\d*\.?\d+$/.test(text) && Number(text) > 0) return Number(text);
+  throw new Error(`invalid duration "${text}" (use w h q e s t, dots, a trailing 3 for triplets, or quarter notes like 1.5)`);
+}
+
+/**
+ * Shortest code for a duration in quarter notes: a note value when one fits,
+ * otherwise the number itself.
+ */
+function formatDuration(q) {
+  for (const [letter, value] of Object.entries(NOTE_VALUES)) {
+    if (Math.abs(q - value) < EPSILON) return letter;
+    if (Math.abs(q - value * 1.5) < EPSILON) return `${letter}.`;
+    if (Math.abs(q - value * 2 / 3) < EPSILON) return `${letter}3`;
+    if (Math.abs(q - value * 1.75) < EPSILON) return `${letter}..`;
+  }
+  return String(Math.round(q * 1000) / 1000);
+}
+
+function parseVelocity(text) {
+  return parseDynamic(/^\d+$/.test(text) ? Number(text) : text);
+}
+
+/** Split a measure into tokens, keeping bracketed chords whole. */
+function tokenize(text) {
+  return text.match(/\[[^\]]*\]\S*|\S+/g) ?? [];
+}
+
+/**
+ * Parse notation into notes. Options:
+ *   startMeasure     measure for the first segment without an "m<N>:" prefix
+ *   velocity         starting velocity (default 80)
+ *   resolvePitch     name => MIDI number; throw to reject
+ *   measureStart     measure => its start, in quarter notes from the top
+ *   measureQuarters  measure => its length in quarter notes
+ * Returns { measures: [numbers], notes: [{ measure, start, duration, midi,
+ * velocity }] } with start/duration in quarter notes from the top of the file.
+ * Errors name the measure and token that failed.
+ */
+export function parseNotation(text, opts) {
+  const { startMeasure = 1, resolvePitch, measureStart, measureQuarters } = opts;
+  let velocity = opts.velocity ?? 80;
+  const notes = [];
+  const measures = [];
+  // Ties waiting for their continuation, per voice index: pitch -> note
+  const pendingTies = new Map();
+
+  let measure = startMeasure - 1;
+  for (const segment of text.split('|')) {
+    let body = segment.trim();
+    const prefix = body.match(/^m(\d+)\s*:/i);
+    if (prefix) {
+      measure = Number(prefix[1]);
+      body = body.slice(prefix[0].length);
+    } else if (!body) {
+      continue;
+    } else {
+      measure++;
+    }
+    if (measure < 1) throw new Error(`Measure ${measure} is out of range; measures start at 1.`);
+    measures.push(measure);
+    const top = measureStart(measure);
+    const length = measureQuarters(measure);
+
+    const voices = body.split('&');
+    for (const [voice, open] of pendingTies) {
+      if (voice >= voices.length && open.size) {
+        throw new Error(`Measure ${measure}: voice ${voice + 1} ends in a tie, but this measure has no voice ${voice + 1} to continue it.`);
+      }
+    }
+
+    voices.forEach((voiceText, voice) => {
+      let open = pendingTies.get(voice) ?? new Map();
+      let cursor = 0;
+
+      tokenize(voiceText).forEach((token, index) => {
+        const fail = (message) => {
+          throw new Error(`Measure ${measure}, token ${index + 1} "${token}": ${message}.`);
+        };
+        const attempt = (fn) => {
+          try {
+            return fn();
+          } catch (err) {
+            return fail(err.message.replace(/\.$/, ''));
+          }
+        };
+
+        if (token.startsWith('@')) {
+          velocity = attempt(() => parseVelocity(token.slice(1)));
+          return;
+        }
+
+        const match = token.match(/^(\[[^\]]*\]|[^/[\]]+)\/([^@~]+)((?:@[a-z0-9]+|~)*)$/i);
+        if (!match) fail('expected pitch/duration, [chord]/duration, r/duration or @velocity');
+        const [, head, durationText, suffix] = match;
+
+        const duration = attempt(() => parseDuration(durationText));
+        if (cursor >= length - EPSILON) {
+          fail(`starts after the end of the measure (${Math.round(length * 1000) / 1000} quarter notes long)`);
+        }
+        const tie = suffix.includes('~');
+        const noteVelocity = suffix.match(/@([a-z0-9]+)/i);
+        const tokenVelocity = noteVelocity ? attempt(() => parseVelocity(noteVelocity[1])) : velocity;
+
+        const start = top + cursor;
+        cursor += duration;
+        const next = new Map();
+        const isRest = head.toLowerCase() === 'r';
+        const members = isRest ? [] : head.startsWith('[') ? head.slice(1, -1).trim().split(/\s+/).filter(Boolean) : [head];
+        if (!isRest && !members.length) fail('empty chord');
+
+        for (const member of members) {
+          const [name, own] = member.split('@');
+          const midi = attempt(() => resolvePitch(name));
+          const vel = own !== undefined ? attempt(() => parseVelocity(own)) : tokenVelocity;
+
+          // A tie from the previous token of this voice extends that note
+          const held = open.get(midi);
+          let note;
+          if (held && Math.abs(held.start + held.duration - start) < EPSILON) {
+            held.duration += duration;
+            open.delete(midi);
+            note = held;
+          } else {
+            note = { measure, start, duration, midi, velocity: vel };
+            notes.push(note);
+          }
+          if (tie) next.set(midi, note);
+        }
+        if (tie && isRest) fail('a rest cannot be tied');
+        if (open.size) fail('the tie before this token has no matching pitch to continue into');
+        open = next;
+      });
+
+      pendingTies.set(voice, open);
+    });
+  }
+
+  for (const open of pendingTies.values()) {
+    for (const note of open.values()) {
+      throw new Error(`Measure ${note.measure}: the last tie has nothing to continue into.`);
+    }
+  }
+
+  return { measures, notes };
+}
+
+/**
+ * Format one measure of notes. `notes` are { start, duration, name, velocity }
+ * with start/duration in quarter notes from the downbeat. Notes that share an
+ * onset and length become a chord; overlapping material goes to extra voices.
+ * `state.velocity` carries the running velocity mark between measures.
+ */
+export function formatMeasure(measure, notes, state) {
+  // Group simultaneous notes of equal length into chord events
+  const events = [];
+  for (const note of [...notes].sort((a, b) => a.start - b.start || b.duration - a.duration)) {
+    const last = events[events.length - 1];
+    if (last && Math.abs(last.start - note.start) < EPSILON && Math.abs(last.duration - note.duration) < EPSILON) {
+      last.notes.push(note);
+    } else {
+      events.push({ start: note.start, duration: note.duration, notes: [note] });
+    }
+  }
+
+  const voices = [];
+  for (const event of events) {
+    let voice = voices.find(v => v.cursor <= event.start + EPSILON);
+    if (!voice) {
+      voice = { cursor: 0, events: [] };
+      voices.push(voice);
+    }
+    if (event.start - voice.cursor > EPSILON) {
+      voice.events.push({ rest: true, duration: event.start - voice.cursor });
+    }
+    voice.events.push(event);
+    voice.cursor = event.start + event.duration;
+  }
+
+  const voiceTexts = voices.map(voice => voice.events.map(event => {
+    const duration = formatDuration(event.duration);
+    if (event.rest) return `r/${duration}`;
+    const velocities = event.notes.map(n => n.velocity);
+    const shared = velocities.every(v => v === velocities[0]);
+    let mark = '';
+    if (shared && velocities[0] !== state.velocity) {
+      state.velocity = velocities[0];
+      mark = `@${velocities[0]} `;
+    }
+    const pitches = event.notes.map(n => (shared ? n.name : `${n.name}@${n.velocity}`));
+    const head = pitches.length === 1 ? pitches[0] : `[${pitches.join(' ')}]`;
+    return `${mark}${head}/${duration}`;
+  }).join(' '));
+
+  return `m${measure}:${voiceTexts.length ? ' ' : ''}${voiceTexts.join(' & ')}`;
+}
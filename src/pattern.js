@@ -0,0 +1,54 @@
+/**
+ * Motif matching on melodic lines. Pure sequence handling — the engine
+ * extracts the lines from tracks and turns matches back into positions.
+ *
+ * A line is a list of notes { midi, gap, length } in time order, where `gap`
+ * is the distance in beats to the next note's onset (undefined for the last
+ * note) and `length` the note's own length in beats (undefined for drum hits,
+ * whose last rhythm value is then not checked). A query is { intervals,
+ * rhythm, startPitch }: semitone steps between successive notes, note values
+ * in beats, and the pitch the first note must have (for untransposed
+ * matches); any of them may be left out.
+ */
+
+/** Slack on rhythm comparisons when no tolerance is asked for, in beats. */
+const EPSILON = 1 / 64;
+
+/** The number of notes a query spans. */
+export function queryLength(query) {
+  return query.intervals ? query.intervals.length + 1 : query.rhythm.length;
+}
+
+function rhythmMatches(line, i, rhythm, tolerance) {
+  const slack = tolerance + EPSILON;
+  return rhythm.every((value, k) => {
+    const note = line[i + k];
+    if (k < rhythm.length - 1) return Math.abs(note.gap - value) <= slack;
+    // The last note may be cut short by a rest or run into the next note
+    if (note.length === undefined) return true;
+    return Math.abs(note.length - value) <= slack || Math.abs(note.gap - value) <= slack;
+  });
+}
+
+/**
+ * Match a query against every position of a line. With `inversions`, the
+ * mirrored interval sequence matches too. Returns [{ index, form }] with
+ * form 'original' or 'inversion'.
+ */
+export function matchLine(line, query, { tolerance = 0, inversions = false } = {}) {
+  const { intervals, rhythm, startPitch } = query;
+  const length = queryLength(query);
+  const forms = intervals && inversions ? [['original', 1], ['inversion', -1]] : [['original', 1]];
+  const matches = [];
+  for (let i = 0; i + length <= line.length; i++) {
+    if (startPitch !== undefined && line[i].midi !== startPitch) continue;
+    if (rhythm && !rhythmMatches(line, i, rhythm, tolerance)) continue;
+    for (const [form, sign] of forms) {
+      if (intervals && !intervals.every((step, k) => line[i + k + 1].midi - line[i + k].midi === sign * step)) continue;
+      matches.push({ index: i, form });
+      // A motif of repeated notes is its own inversion
+      break;
+    }
+  }
+  return matches;
+}
@@ -0,0 +1,104 @@
+/**
+ * Text views of a track: a piano roll (pitch rows by time columns) and a
+ * tracker (time rows by note columns). Pure text handling — the engine lays
+ * out the time steps and places notes on them.
+ *
+ * Steps are { measure, beat, downbeat, onBeat }: one per column (roll) or
+ * line (tracker). Notes are { row, label, step, endStep, velocity, onset }
+ * where step/endStep index the steps and `onset` is false for a note held
+ * over from before the first step.
+ */
+
+/** Onset characters from soft to loud, with the highest velocity each covers. */
+export const VELOCITY_SHADES = [[40, ':'], [72, '+'], [104, '*'], [127, '#']];
+
+function shade(velocity) {
+  return VELOCITY_SHADES.find(([max]) => velocity <= max)[1];
+}
+
+/** Beat position as text: "2", "2.5", "3.33". */
+function beatText(beat) {
+  return String(Math.round(beat * 100) / 100);
+}
+
+/**
+ * Draw a piano roll. `rows` are { key, label } from top to bottom; a note
+ * lands on the row whose key matches its `row`. Onsets show velocity by
+ * density (see VELOCITY_SHADES), held steps are "=", empty beats ".", and
+ * bar lines "|". Returns the lines.
+ */
+export function formatPianoRoll(steps, rows, notes) {
+  const width = Math.max(4, ...rows.map(r => r.label.length));
+  const cells = new Map(rows.map(r => [r.key, steps.map(s => (s.onBeat ? '.' : ' '))]));
+  const onsets = new Map(rows.map(r => [r.key, new Set()]));
+
+  for (const note of notes) {
+    const row = cells.get(note.row);
+    if (!row) continue;
+    if (note.onset) {
+      row[note.step] = shade(note.velocity);
+      onsets.get(note.row).add(note.step);
+    }
+    for (let s = note.onset ? note.step + 1 : note.step; s < note.endStep; s++) {
+      if (!onsets.get(note.row).has(s)) row[s] = '=';
+    }
+  }
+
+  // Insert a bar line before every downbeat and after the last step
+  const withBars = (chars, bar) => steps.map((s, i) => (s.downbeat ? bar : '') + chars[i]).join('') + bar;
+
+  const measureLine = steps.map((s) => (s.downbeat ? String(s.measure) : ' '));
+  // Measure numbers longer than one character spill into the following columns
+  for (let i = 0; i < measureLine.length; i++) {
+    if (measureLine[i].length > 1) {
+      const text = measureLine[i];
+      measureLine[i] = text[0];
+      for (let k = 1; k < text.length && i + k < measureLine.length; k++) measureLine[i + k] = text[k];
+    }
+  }
+  const beatLine = steps.map(s => (s.onBeat ? String(Math.round(s.beat) % 10) : ' '));
+
+  return [
+    `${''.padEnd(width)} ${withBars(measureLine, ' ')}`,
+    `${''.padEnd(width)} ${withBars(beatLine, '|')}`,
+    ...rows.map(r => `${r.label.padEnd(width)} ${withBars(cells.get(r.key), '|')}`),
+  ];
+}
+
+/**
+ * Draw a tracker view: one line per step, with each sounding note in a
+ * column. Onsets show the note name and velocity, held steps "|", empty
+ * cells "---"; a rule of dashes marks each bar line. Returns the lines.
+ */
+export function formatTracker(steps, notes) {
+  // Give each note the first column that is free when it starts
+  const columns = [];
+  const placed = [...notes].sort((a, b) => a.step - b.step || b.row - a.row).map((note) => {
+    let column = columns.findIndex(end => end <= note.step);
+    if (column === -1) {
+      column = columns.length;
+      columns.push(0);
+    }
+    columns[column] = note.endStep;
+    return { ...note, column };
+  });
+
+  const labelWidth = Math.max(3, ...notes.map(n => n.label.length));
+  const cellWidth = labelWidth + 4;
+  const grid = steps.map(() => columns.map(() => '---'.padEnd(cellWidth)));
+  for (const note of placed) {
+    if (note.onset) grid[note.step][note.column] = `${note.label.padEnd(labelWidth)} ${String(note.velocity).padStart(3)}`;
+    for (let s = note.onset ? note.step + 1 : note.step; s < note.endStep; s++) {
+      grid[s][note.column] = '|'.padEnd(cellWidth);
+    }
+  }
+
+  const positionWidth = Math.max(...steps.map(s => `${s.measure}:${beatText(s.beat)}`.length));
+  const lines = [];
+  steps.forEach((s, i) => {
+    if (s.downbeat && i > 0) lines.push('-'.repeat(positionWidth + 3 + columns.length * (cellWidth + 1)));
+    const position = s.onBeat ? `${s.measure}:${beatText(s.beat)}` : `  ${beatText(s.beat)}`;
+    lines.push(`${position.padStart(positionWidth)} | ${grid[i].join(' ')}`.trimEnd());
+  });
+  return lines;
+}
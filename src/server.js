@@ -12,7 +12,7 @@ export async function startServer() {
   // ── load_midi ────────────────────────────────────────────────────────────
   server.tool(
     'load_midi',
-    'Load and parse a MIDI file. Returns summary info including tempo, time signature, tracks, and measure count.',
+    'Load and parse a MIDI file. Returns summary info including tempo, time signature, tracks, measure count, and any markers and lyrics.',
     {
       file_path: z.string().describe('Path to the MIDI file (.mid/.midi)'),
       alias: z.string().optional().describe('Short alias to reference this file later (defaults to file path)'),
@@ -26,7 +26,7 @@ export async function startServer() {
   // ── midi_info ────────────────────────────────────────────────────────────
   server.tool(
     'midi_info',
-    'Get detailed metadata about a loaded MIDI file: tempo map, time signatures, and per-track info (instrument, note count, pitch range).',
+    'Get detailed metadata about a loaded MIDI file: tempo map, time signatures, markers, lyric and text-event counts, and per-track info (channel, instrument, note count, pitch range, controllers in use). Tracks holding notes from several channels (after merge_tracks) list them as `channels`.',
     {
       alias: z.string().describe('Alias of the loaded MIDI file'),
     },
@@ -39,15 +39,49 @@ export async function startServer() {
   // ── get_measures ─────────────────────────────────────────────────────────
   server.tool(
     'get_measures',
-    'Get notes organized by measure. Time-signature and tempo aware. Returns note names, beats, velocities, and durations.',
+    'Get notes organized by measure. Time-signature and tempo aware. Returns note names (spelled for the current key; GM drum names on percussion tracks), beats, velocities, durations, and the lyric sung on each note, plus any markers, controller and pitch-bend events.',
     {
       alias: z.string().describe('Alias of the loaded MIDI file'),
-      start_measure: z.number().int().min(1).describe('First measure to retrieve (1-based)'),
-      end_measure: z.number().int().min(1).describe('Last measure to retrieve (1-based, inclusive)'),
+      start_measure: z.union([z.number().int().min(1), z.string()]).optional().describe('First measure to retrieve (1-based), or a marker name like "Chorus 2" (alone, its whole section); or give start_time'),
+      end_measure: z.union([z.number().int().min(1), z.string()]).optional().describe('Last measure to retrieve (1-based, inclusive; default start_measure), or a marker name to include its section'),
+      start_time: z.string().optional().describe('Start at the measure playing at this time: seconds, "1:23.5", or SMPTE "00:01:23:15"'),
+      end_time: z.string().optional().describe('End at the measure playing at this time'),
       track: z.number().int().min(0).optional().describe('Track index to filter (omit for all tracks)'),
+      drum_grid: z.boolean().optional().describe('Also show percussion tracks as sixteenth-note step grids per drum ("x...x...")'),
+      format: z.enum(['json', 'notation']).optional().describe('"json" (default) lists every note; "notation" returns each track as one compact string, e.g. "m1: C4/q E4/q [C4 E4 G4]/h | m2: ..." (the format write_notation reads)'),
     },
-    async ({ alias, start_measure, end_measure, track }) => {
-      const result = engine.getMeasures(alias, start_measure, end_measure, track);
+    async ({ alias, start_measure, end_measure, start_time, end_time, track, drum_grid, format }) => {
+      const result = engine.getMeasures(alias, start_measure, end_measure, track, {
+        drumGrid: drum_grid,
+        format,
+        startTime: start_time,
+        endTime: end_time,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── render_piano_roll ────────────────────────────────────────────────────
+  server.tool(
+    'render_piano_roll',
+    'Draw a track\'s measures as text to check rhythm and voicing at a glance: a piano roll with pitch rows (drum names on percussion tracks) by time columns, bar lines and beat numbers from the time signature, and velocity shown by character density. view="tracker" lists one line per step with a column per sounding note instead. Returns the lines.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      track: z.number().int().min(0).describe('Track index'),
+      measure_start: z.number().int().min(1).describe('First measure to draw (1-based)'),
+      measure_end: z.number().int().min(1).describe('Last measure to draw (1-based, inclusive)'),
+      view: z.enum(['roll', 'tracker']).optional().describe('"roll" (default) or "tracker"'),
+      resolution_beats: z.number().positive().optional().describe('Length of one column/line in beats of the time signature (default: a sixteenth note)'),
+      low: z.string().optional().describe('Lowest pitch row of the roll, e.g. "C3" (default: the lowest note shown)'),
+      high: z.string().optional().describe('Highest pitch row of the roll, e.g. "C6" (default: the highest note shown)'),
+    },
+    async ({ alias, track, measure_start, measure_end, view, resolution_beats, low, high }) => {
+      const result = engine.renderPianoRoll(alias, track, measure_start, measure_end, {
+        view,
+        resolutionBeats: resolution_beats,
+        low,
+        high,
+      });
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     },
   );
@@ -55,17 +89,19 @@ export async function startServer() {
   // ── search_notes ─────────────────────────────────────────────────────────
   server.tool(
     'search_notes',
-    'Search for notes matching criteria: pitch range, note name, track, or measure range. Returns up to 200 matches.',
+    'Search for notes matching criteria: pitch range, note name, track, measure range, or time range. Returns up to 200 matches, each with its measure, beat, clock time, and lyric if one is sung on it.',
     {
       alias: z.string().describe('Alias of the loaded MIDI file'),
-      note_name: z.string().optional().describe('Filter by pitch class (e.g. "C#", "Bb"). Ignores octave.'),
+      note_name: z.string().optional().describe('Filter by pitch class (e.g. "C#", "Bb"; ignores octave), or by drum name on drum tracks (e.g. "snare")'),
       pitch_min: z.number().int().min(0).max(127).optional().describe('Minimum MIDI pitch number'),
       pitch_max: z.number().int().min(0).max(127).optional().describe('Maximum MIDI pitch number'),
       track: z.number().int().min(0).optional().describe('Track index to search'),
-      measure_start: z.number().int().min(1).optional().describe('Start measure'),
-      measure_end: z.number().int().min(1).optional().describe('End measure'),
+      measure_start: z.union([z.number().int().min(1), z.string()]).optional().describe('Start measure, or a marker name (alone, its whole section)'),
+      measure_end: z.union([z.number().int().min(1), z.string()]).optional().describe('End measure, or a marker name to include its section'),
+      time_start: z.string().optional().describe('Only notes still sounding at or after this time: seconds, "1:23.5", or SMPTE'),
+      time_end: z.string().optional().describe('Only notes starting at or before this time'),
     },
-    async ({ alias, note_name, pitch_min, pitch_max, track, measure_start, measure_end }) => {
+    async ({ alias, note_name, pitch_min, pitch_max, track, measure_start, measure_end, time_start, time_end }) => {
       const result = engine.searchNotes(alias, {
         noteName: note_name,
         pitchMin: pitch_min,
@@ -73,6 +109,164 @@ export async function startServer() {
         trackIndex: track,
         measureStart: measure_start,
         measureEnd: measure_end,
+        timeStart: time_start,
+        timeEnd: time_end,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── find_pattern ───────────────────────────────────────────────────────
+  server.tool(
+    'find_pattern',
+    'Find every place a motif occurs: by melodic intervals, note names, a rhythm in beats, or an example measure range from the file. Matches in any key by default, optionally upside down (inversions) and with loose timing. Returns track, measure, beat, and the matched note ids for editing each statement.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      intervals: z.array(z.number().int()).optional().describe('Semitones between successive notes, e.g. [2, 2, -4] for C D E C'),
+      notes: z.array(z.string()).optional().describe('The motif as note names, e.g. ["C4", "D4", "E4", "C4"]'),
+      rhythm: z.array(z.number().positive()).optional().describe('Note values in beats, one per note, e.g. [1, 0.5, 0.5, 2]; may be combined with intervals or notes'),
+      example_track: z.number().int().min(0).optional().describe('Use the top line of this track in example_start..example_end as the motif'),
+      example_start: z.number().int().min(1).optional().describe('First measure of the example'),
+      example_end: z.number().int().min(1).optional().describe('Last measure of the example (default example_start)'),
+      match: z.enum(['both', 'intervals', 'rhythm']).optional().describe('What of the example must agree (default both)'),
+      transpose: z.boolean().optional().describe('Match at any pitch (default true); false keeps the pitch of notes or the example'),
+      inversions: z.boolean().optional().describe('Also match the motif with its intervals mirrored'),
+      rhythm_tolerance: z.number().min(0).optional().describe('How far each note value may differ, in beats (default 0)'),
+      track: z.number().int().min(0).optional().describe('Only search this track'),
+      measure_start: z.number().int().min(1).optional().describe('Only search from this measure'),
+      measure_end: z.number().int().min(1).optional().describe('Only search up to this measure'),
+    },
+    async ({ alias, intervals, notes, rhythm, example_track, example_start, example_end, match, transpose, inversions, rhythm_tolerance, track, measure_start, measure_end }) => {
+      const example = example_track !== undefined || example_start !== undefined
+        ? { track: example_track ?? track ?? 0, measureStart: example_start ?? 1, measureEnd: example_end }
+        : undefined;
+      const result = engine.findPattern(alias, {
+        intervals,
+        notes,
+        rhythm,
+        example,
+        match,
+        transpose,
+        inversions,
+        rhythmTolerance: rhythm_tolerance,
+        trackIndex: track,
+        measureStart: measure_start,
+        measureEnd: measure_end,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── convert_time ─────────────────────────────────────────────────────────
+  server.tool(
+    'convert_time',
+    'Convert a position between ticks, measure/beat, seconds, m:ss.mmm, and SMPTE timecode using the full tempo map. Give one of tick, measure (with optional beat), or time.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      tick: z.number().int().min(0).optional().describe('Tick position'),
+      measure: z.number().int().min(1).optional().describe('Measure (1-based)'),
+      beat: z.number().min(1).optional().describe('Beat within the measure (default 1)'),
+      time: z.string().optional().describe('Clock time: seconds ("83.5"), "1:23.5", "1:02:03.5", or SMPTE "00:01:23:15"'),
+      fps: z.union([z.literal(24), z.literal(25), z.literal(30)]).optional().describe('SMPTE frame rate (default 30)'),
+    },
+    async ({ alias, tick, measure, beat, time, fps }) => {
+      const result = engine.convertTime(alias, { tick, measure, beat, time }, { fps });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── analyze_key ──────────────────────────────────────────────────────────
+  server.tool(
+    'analyze_key',
+    'Estimate the key and mode of a loaded MIDI file or measure range. Give window_measures to analyze in windows and see modulations.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      tracks: z.array(z.number().int().min(0)).min(1).optional().describe('Track indexes to include (omit for all; percussion tracks are ignored)'),
+      measure_start: z.number().int().min(1).optional().describe('First measure (default 1)'),
+      measure_end: z.number().int().min(1).optional().describe('Last measure (default last measure)'),
+      window_measures: z.number().int().min(1).optional().describe('Window size in measures for per-section analysis (e.g. 4)'),
+    },
+    async ({ alias, tracks, measure_start, measure_end, window_measures }) => {
+      const result = engine.analyzeKey(alias, {
+        trackIndexes: tracks,
+        measureStart: measure_start,
+        measureEnd: measure_end,
+        windowMeasures: window_measures,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── analyze_chords ───────────────────────────────────────────────────────
+  server.tool(
+    'analyze_chords',
+    'Name the chords in a measure range (e.g. "Cmaj7/E", "F#m7b5") with root, quality, inversion, start measure/beat, and a roman-numeral reading in the key. Sustained notes crossing barlines are included.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      tracks: z.array(z.number().int().min(0)).min(1).optional().describe('Track indexes to combine (omit for all; percussion tracks are ignored)'),
+      measure_start: z.number().int().min(1).optional().describe('First measure (default 1)'),
+      measure_end: z.number().int().min(1).optional().describe('Last measure (default last measure)'),
+      resolution: z.enum(['beat', 'measure']).optional().describe('One chord reading per beat (default) or per measure'),
+    },
+    async ({ alias, tracks, measure_start, measure_end, resolution }) => {
+      const result = engine.analyzeChords(alias, {
+        trackIndexes: tracks,
+        measureStart: measure_start,
+        measureEnd: measure_end,
+        resolution,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── analyze_form ───────────────────────────────────────────────────────
+  server.tool(
+    'analyze_form',
+    'Map the form of a piece: split it into phrases, compare them on pitch and rhythm, and return a section map like "A(1–8) A(9–16) B(17–24) A\'(25–32)" with similarity scores, the measures that differ between repeats, and a guess at intro/refrain/outro. Optionally writes the sections as marker events.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      tracks: z.array(z.number().int().min(0)).min(1).optional().describe('Track indexes to compare (default: every track with notes except drums)'),
+      measure_start: z.number().int().min(1).optional().describe('First measure (default 1); start after a pickup or intro to align phrases'),
+      measure_end: z.number().int().min(1).optional().describe('Last measure (default last measure)'),
+      phrase_measures: z.number().int().min(1).optional().describe('Phrase length in measures (default: 16, 8, 4, or 2, whichever shows the repetition best)'),
+      threshold: z.number().min(0).max(1).optional().describe('Similarity a phrase needs to count as a variant of an earlier one (default 0.7; 0.95 and up is a repeat)'),
+      write_markers: z.boolean().optional().describe('Write a marker named after each section at its first measure (undoable)'),
+    },
+    async ({ alias, tracks, measure_start, measure_end, phrase_measures, threshold, write_markers }) => {
+      const result = engine.analyzeForm(alias, {
+        trackIndexes: tracks,
+        measureStart: measure_start,
+        measureEnd: measure_end,
+        phraseMeasures: phrase_measures,
+        threshold,
+        writeMarkers: write_markers,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── lint_midi ────────────────────────────────────────────────────────────
+  server.tool(
+    'lint_midi',
+    'Check an arrangement for mistakes: notes outside the General MIDI instrument\'s range or the drum map, notes clamped to 0/127 by a transposition, overlapping same-pitch notes, zero-length notes, notes ringing past the last bar, extreme velocity jumps, and parallel fifths/octaves or voice crossings between chosen tracks. Each finding has a severity (error, warning, info) and a measure/beat position; the mechanical ones can be fixed automatically (undoable).',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      tracks: z.array(z.number().int().min(0)).min(1).optional().describe('Track indexes to check (default all)'),
+      voice_tracks: z.array(z.number().int().min(0)).min(2).optional().describe('Tracks to check voice leading between, each taken as one voice (its top line); every pair is compared'),
+      checks: z.array(z.enum(['range', 'drum_map', 'clamped', 'overlap', 'zero_length', 'past_end', 'velocity_jump', 'voice_leading'])).min(1).optional().describe('Checks to run (default all)'),
+      velocity_jump: z.number().int().min(1).max(127).optional().describe('Velocity change between successive onsets that counts as a jump (default 40)'),
+      fix: z.union([
+        z.boolean(),
+        z.array(z.enum(['range', 'clamped', 'overlap', 'zero_length', 'past_end'])).min(1),
+      ]).optional().describe('Fix what can be fixed: true for all of range (move by octaves), clamped (restore the pitch an octave-fold into range), overlap, zero_length (delete), past_end (trim), or a list of them'),
+    },
+    async ({ alias, tracks, voice_tracks, checks, velocity_jump, fix }) => {
+      const result = engine.lintMidi(alias, {
+        trackIndexes: tracks,
+        voiceTracks: voice_tracks,
+        checks,
+        velocityJump: velocity_jump,
+        fix,
       });
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     },
@@ -88,7 +282,7 @@ export async function startServer() {
       notes: z.array(z.object({
         measure: z.number().int().min(1).describe('Measure number (1-based)'),
         beat: z.number().min(1).describe('Beat within the measure (1-based, can be fractional)'),
-        note_name: z.string().describe('Note name (e.g. "C4", "F#3", "Bb5")'),
+        note_name: z.string().describe('Note name (e.g. "C4", "F#3", "Bb5"), or a GM drum name on drum tracks ("kick", "snare", "closed_hat", "crash")'),
         duration_beats: z.number().positive().describe('Duration in beats'),
         velocity: z.number().int().min(1).max(127).optional().describe('Note velocity (1-127, default 80)'),
       })).min(1).describe('Notes to add'),
@@ -106,23 +300,141 @@ export async function startServer() {
     },
   );
 
+  // ── write_notation ───────────────────────────────────────────────────────
+  server.tool(
+    'write_notation',
+    'Write notes into a track from compact text notation. Measures are separated by "|" and may start with "m<N>:". Tokens: C4/q (pitch/duration), [C4 E4 G4]/h (chord), r/e (rest), C4/h~ (tie into the next C4), @mf or @96 (velocity for following notes), C4/q@110 (one note\'s velocity). Durations: w h q e s t, dotted (q.), triplet (e3), or quarter notes (1.5). "&" separates voices within a measure. Drum tracks take drum names (kick/e). Errors name the measure and token.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      track: z.number().int().min(0).describe('Track index'),
+      notation: z.string().describe('Notation text, e.g. "m1: C4/q E4/q G4/q [C4 E4 G4]/q | m2: @f D4/h~ D4/h"'),
+      measure: z.number().int().min(1).optional().describe('Measure for text without an "m<N>:" prefix (default 1)'),
+      mode: z.enum(['merge', 'replace']).optional().describe('"merge" adds to existing notes (default); "replace" clears the measures the notation covers first'),
+      velocity: z.number().int().min(1).max(127).optional().describe('Starting velocity before any @ mark (default 80)'),
+    },
+    async ({ alias, track, notation, measure, mode, velocity }) => {
+      const result = engine.writeNotation(alias, track, notation, { measure, mode, velocity });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── add_drum_pattern ─────────────────────────────────────────────────────
+  server.tool(
+    'add_drum_pattern',
+    'Enter drums step-sequencer style on a drum track: one step string per drum, e.g. {"kick": "x...x...x...x...", "snare": "....x.......x..."}. "X" = accent, "x" = hit, "o" = ghost, "." or "-" = rest. Steps are sixteenth notes by default and run across bar lines.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      track: z.number().int().min(0).describe('Drum track index (channel 10)'),
+      measure: z.number().int().min(1).describe('Measure where the pattern starts'),
+      beat: z.number().min(1).optional().describe('Beat where the pattern starts (default 1)'),
+      patterns: z.record(z.string()).describe('Drum name → step string (kick, snare, closed_hat, open_hat, pedal_hat, crash, ride, clap, side_stick, low_tom, high_tom, …)'),
+      step_beats: z.number().positive().optional().describe('Step length in beats (default: a sixteenth note)'),
+      repeat: z.number().int().min(1).optional().describe('Play the pattern this many times back to back (default 1)'),
+      velocity: z.number().int().min(1).max(127).optional().describe('Velocity for "x" hits (default 100; "X" = 120, "o" = 45)'),
+    },
+    async ({ alias, track, measure, beat, patterns, step_beats, repeat, velocity }) => {
+      const result = engine.addDrumPattern(alias, track, measure, patterns, {
+        beat,
+        stepBeats: step_beats,
+        repeat,
+        velocity,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── add_chords ───────────────────────────────────────────────────────────
+  server.tool(
+    'add_chords',
+    'Write a chord progression into a track from chord symbols (e.g. "C7", "F#m7b5", "Bbmaj7/D"), with a choice of voicing, register, inversion, and playing pattern.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      track: z.number().int().min(0).describe('Track index'),
+      chords: z.array(z.object({
+        measure: z.number().int().min(1).describe('Measure number (1-based)'),
+        beat: z.number().min(1).describe('Beat within the measure (1-based, can be fractional)'),
+        symbol: z.string().describe('Chord symbol (e.g. "C", "Am7", "G7/B", "Ebmaj9", "Bø")'),
+        duration_beats: z.number().positive().describe('Duration in beats'),
+        velocity: z.number().int().min(1).max(127).optional().describe('Velocity for this chord (overrides the default)'),
+      })).min(1).describe('Chords to add'),
+      voicing: z.enum(['close', 'drop2', 'open', 'shell']).optional().describe('Voicing (default close)'),
+      octave: z.number().int().min(0).max(8).optional().describe('Octave of the chord root (default 4, i.e. around middle C)'),
+      inversion: z.number().int().min(0).max(4).optional().describe('0 = root position (default), 1 = first inversion, ...; ignored for shell'),
+      pattern: z.enum(['block', 'arpeggio_up', 'arpeggio_down', 'alberti', 'strum']).optional().describe('How the chord is played (default block)'),
+      step_beats: z.number().positive().optional().describe('Note length for arpeggio/alberti patterns in beats (default 0.5)'),
+      strum_beats: z.number().min(0).optional().describe('Delay between successive strummed notes in beats (default 0.05)'),
+      velocity: z.number().int().min(1).max(127).optional().describe('Default velocity (1-127, default 80)'),
+    },
+    async ({ alias, track, chords, voicing, octave, inversion, pattern, step_beats, strum_beats, velocity }) => {
+      const mapped = chords.map(c => ({
+        measure: c.measure,
+        beat: c.beat,
+        symbol: c.symbol,
+        durationBeats: c.duration_beats,
+        velocity: c.velocity,
+      }));
+      const result = engine.addChords(alias, track, mapped, {
+        voicing, octave, inversion, pattern, stepBeats: step_beats, strumBeats: strum_beats, velocity,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
   // ── delete_notes ─────────────────────────────────────────────────────────
   server.tool(
     'delete_notes',
-    'Delete notes from a track within a measure range. Optionally filter by pitch range.',
+    'Delete notes from a track within a measure range (optionally filtered by pitch range), or delete exact notes by id.',
     {
       alias: z.string().describe('Alias of the loaded MIDI file'),
-      track: z.number().int().min(0).describe('Track index'),
-      measure_start: z.number().int().min(1).describe('First measure of deletion range'),
-      measure_end: z.number().int().min(1).describe('Last measure of deletion range'),
+      track: z.number().int().min(0).optional().describe('Track index (required unless note_ids is given)'),
+      measure_start: z.number().int().min(1).optional().describe('First measure of deletion range (required unless note_ids is given)'),
+      measure_end: z.number().int().min(1).optional().describe('Last measure of deletion range (required unless note_ids is given)'),
       pitch_min: z.number().int().min(0).max(127).optional().describe('Only delete notes at or above this pitch'),
       pitch_max: z.number().int().min(0).max(127).optional().describe('Only delete notes at or below this pitch'),
+      note_ids: z.array(z.string()).min(1).optional().describe('Ids of the notes to delete (from get_measures/search_notes); replaces the range options'),
     },
-    async ({ alias, track, measure_start, measure_end, pitch_min, pitch_max }) => {
-      const result = engine.deleteNotes(alias, track, measure_start, measure_end, {
-        pitchMin: pitch_min,
-        pitchMax: pitch_max,
-      });
+    async ({ alias, track, measure_start, measure_end, pitch_min, pitch_max, note_ids }) => {
+      let result;
+      if (note_ids) {
+        result = engine.deleteNotesById(alias, note_ids);
+      } else {
+        if (track === undefined || measure_start === undefined || measure_end === undefined) {
+          throw new Error('Provide either note_ids, or track with measure_start and measure_end.');
+        }
+        result = engine.deleteNotes(alias, track, measure_start, measure_end, {
+          pitchMin: pitch_min,
+          pitchMax: pitch_max,
+        });
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── update_notes ─────────────────────────────────────────────────────────
+  server.tool(
+    'update_notes',
+    'Change individual notes by id (ids come from get_measures/search_notes). Any of pitch, position, duration, and velocity can be set; omitted fields are unchanged.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      updates: z.array(z.object({
+        id: z.string().describe('Note id (e.g. "n42")'),
+        note_name: z.string().optional().describe('New pitch (e.g. "C4", "F#3", "Bb5"), or drum name on drum tracks'),
+        measure: z.number().int().min(1).optional().describe('New measure (1-based)'),
+        beat: z.number().min(1).optional().describe('New beat within the measure (1-based, can be fractional)'),
+        duration_beats: z.number().positive().optional().describe('New duration in beats'),
+        velocity: z.number().int().min(1).max(127).optional().describe('New velocity (1-127)'),
+      })).min(1).describe('Note updates'),
+    },
+    async ({ alias, updates }) => {
+      const mapped = updates.map(u => ({
+        id: u.id,
+        noteName: u.note_name,
+        measure: u.measure,
+        beat: u.beat,
+        durationBeats: u.duration_beats,
+        velocity: u.velocity,
+      }));
+      const result = engine.updateNotes(alias, mapped);
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     },
   );
@@ -130,16 +442,71 @@ export async function startServer() {
   // ── transpose ────────────────────────────────────────────────────────────
   server.tool(
     'transpose',
-    'Transpose notes in a track by a number of semitones. Optionally limit to a measure range.',
+    'Transpose notes in a track by semitones (chromatic), or by scale steps within a scale (diatonic: give steps and scale). Optionally limit to a measure range.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      track: z.number().int().min(0).describe('Track index'),
+      semitones: z.number().int().optional().describe('Number of semitones to transpose (positive = up, negative = down)'),
+      steps: z.number().int().optional().describe('Diatonic mode: scale steps to move (2 = up a third, -1 = down a step); requires scale'),
+      scale: z.string().optional().describe('Diatonic mode: scale to move within (e.g. "C major", "A minor", "D dorian"). Out-of-scale notes keep their offset from the scale degree below them.'),
+      measure_start: z.number().int().min(1).optional().describe('Start measure (omit for entire track)'),
+      measure_end: z.number().int().min(1).optional().describe('End measure (omit for entire track)'),
+    },
+    async ({ alias, track, semitones, steps, scale, measure_start, measure_end }) => {
+      let result;
+      if (steps !== undefined) {
+        if (!scale) throw new Error('Diatonic transposition needs a scale (e.g. "C major").');
+        if (semitones !== undefined) throw new Error('Give either semitones or steps, not both.');
+        result = engine.transposeDiatonic(alias, track, steps, scale, measure_start, measure_end);
+      } else {
+        if (semitones === undefined) throw new Error('Give semitones, or steps with a scale.');
+        result = engine.transposeNotes(alias, track, semitones, measure_start, measure_end);
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── change_mode ──────────────────────────────────────────────────────────
+  server.tool(
+    'change_mode',
+    'Convert notes to another mode on the same tonic, degree for degree (e.g. C major → C minor, or D dorian → D mixolydian). Optionally limit to a measure range.',
     {
       alias: z.string().describe('Alias of the loaded MIDI file'),
       track: z.number().int().min(0).describe('Track index'),
-      semitones: z.number().int().describe('Number of semitones to transpose (positive = up, negative = down)'),
+      from: z.string().describe('Current key/scale (e.g. "C major", "A minor", "D dorian")'),
+      to_mode: z.string().describe('Target mode: major, minor, ionian, dorian, phrygian, lydian, mixolydian, aeolian, locrian, harmonic minor, melodic minor'),
       measure_start: z.number().int().min(1).optional().describe('Start measure (omit for entire track)'),
       measure_end: z.number().int().min(1).optional().describe('End measure (omit for entire track)'),
     },
-    async ({ alias, track, semitones, measure_start, measure_end }) => {
-      const result = engine.transposeNotes(alias, track, semitones, measure_start, measure_end);
+    async ({ alias, track, from, to_mode, measure_start, measure_end }) => {
+      const result = engine.changeMode(alias, track, from, to_mode, measure_start, measure_end);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── transform_notes ──────────────────────────────────────────────────────
+  server.tool(
+    'transform_notes',
+    'Apply melodic transformations to the notes in a measure range, in order: invert (mirror pitches around a pivot), retrograde (reverse in time), augment/diminish (stretch or compress rhythm by a ratio), rotate (rotate the pitch order, keeping the rhythm). Replaces the source in place unless a target track or measure is given.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      track: z.number().int().min(0).describe('Source track index'),
+      measure_start: z.number().int().min(1).describe('First source measure'),
+      measure_end: z.number().int().min(1).describe('Last source measure (inclusive)'),
+      operations: z.array(z.object({
+        type: z.enum(['invert', 'retrograde', 'augment', 'diminish', 'rotate']).describe('Transformation to apply'),
+        pivot: z.union([z.string(), z.number().int().min(0).max(127)]).optional().describe('invert: pivot note name or MIDI number (default: first note)'),
+        ratio: z.number().positive().optional().describe('augment/diminish: time factor (default 2; augment 2 = twice as long, diminish 2 = twice as fast)'),
+        steps: z.number().int().optional().describe('rotate: positions to rotate the pitch sequence by (default 1)'),
+      })).min(1).describe('Transformations, applied in order (e.g. [{"type":"retrograde"},{"type":"augment","ratio":2}])'),
+      target_track: z.number().int().min(0).optional().describe('Write the result to this track instead, keeping the source'),
+      target_measure: z.number().int().min(1).optional().describe('Write the result starting at this measure instead, keeping the source'),
+    },
+    async ({ alias, track, measure_start, measure_end, operations, target_track, target_measure }) => {
+      const result = engine.transformNotes(alias, track, measure_start, measure_end, operations, {
+        targetTrack: target_track,
+        targetMeasure: target_measure,
+      });
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     },
   );
@@ -147,16 +514,295 @@ export async function startServer() {
   // ── quantize ─────────────────────────────────────────────────────────────
   server.tool(
     'quantize',
-    'Snap note start times to a grid. Grid size is in beats (e.g. 0.25 = sixteenth notes, 0.5 = eighth notes, 1 = quarter notes).',
+    'Snap notes to a grid laid out from each measure\'s downbeat. Grid size is in beats of the time signature, the same unit add_notes uses (in 4/4: 0.25 = sixteenth, 0.5 = eighth; in 6/8 a beat is an eighth). Can also quantize note ends or lengths, apply partial strength, swing, tuplet grids, and a tolerance window. Reports how far each note moved.',
     {
       alias: z.string().describe('Alias of the loaded MIDI file'),
       track: z.number().int().min(0).describe('Track index'),
-      grid_beats: z.number().positive().describe('Grid resolution in beats (0.25 = 16th, 0.5 = 8th, 1 = quarter)'),
+      grid_beats: z.number().positive().describe('Grid resolution in beats (0.25 = 16th, 0.5 = 8th, 1 = quarter in 4/4)'),
       measure_start: z.number().int().min(1).optional().describe('Start measure'),
       measure_end: z.number().int().min(1).optional().describe('End measure'),
+      duration: z.enum(['keep', 'end', 'length']).optional().describe('"keep" moves notes whole (default), "end" also snaps note ends to the grid, "length" rounds durations to whole grid steps'),
+      strength: z.number().min(0).max(100).optional().describe('Percent of the way to move toward the grid (default 100)'),
+      swing: z.number().min(0).max(100).optional().describe('Delay every second grid line; 0 = straight (default), 100 = full triplet swing'),
+      tuplet: z.number().int().min(3).optional().describe('Tuplet grid: 3 = triplets (3 in the time of 2), 5 = quintuplets (5 in the time of 4)'),
+      tolerance: z.number().min(0).max(100).optional().describe('Percent of a grid step; notes already this close to the grid are left alone (default 0)'),
+    },
+    async ({ alias, track, grid_beats, measure_start, measure_end, duration, strength, swing, tuplet, tolerance }) => {
+      const result = engine.quantizeNotes(alias, track, grid_beats, measure_start, measure_end, {
+        duration, strength, swing, tuplet, tolerance,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── humanize ─────────────────────────────────────────────────────────────
+  server.tool(
+    'humanize',
+    'Add small random variation to note timing, velocity, and length, with optional accents on the strong beats of the time signature. Seeded: the same seed and arguments always give the same result (the seed used is returned).',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      track: z.number().int().min(0).describe('Track index'),
+      measure_start: z.number().int().min(1).optional().describe('Start measure (omit for entire track)'),
+      measure_end: z.number().int().min(1).optional().describe('End measure (omit for entire track)'),
+      timing_beats: z.number().min(0).optional().describe('Maximum onset shift either way, in beats (default 0.03)'),
+      velocity: z.number().min(0).max(127).optional().describe('Maximum velocity change either way (default 8)'),
+      duration_percent: z.number().min(0).max(100).optional().describe('Maximum length change either way, in percent (default 10)'),
+      accent: z.number().min(0).max(127).optional().describe('Velocity added on downbeats, half as much on other strong beats (default 0)'),
+      seed: z.number().int().optional().describe('Random seed; reuse it to reproduce an edit (default: random, returned in the result)'),
+    },
+    async ({ alias, track, measure_start, measure_end, timing_beats, velocity, duration_percent, accent, seed }) => {
+      const result = engine.humanizeNotes(alias, track, measure_start, measure_end, {
+        timingBeats: timing_beats,
+        velocity,
+        durationPercent: duration_percent,
+        accent,
+        seed,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     },
-    async ({ alias, track, grid_beats, measure_start, measure_end }) => {
-      const result = engine.quantizeNotes(alias, track, grid_beats, measure_start, measure_end);
+  );
+
+  // ── shape_velocity ───────────────────────────────────────────────────────
+  server.tool(
+    'shape_velocity',
+    'Shape note velocities over a measure range: crescendo/diminuendo ramps between dynamic levels (linear or curved), scale by a percentage, compress toward the average, accent chosen beats, or set a fixed velocity.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      track: z.number().int().min(0).describe('Track index'),
+      measure_start: z.number().int().min(1).optional().describe('Start measure (omit for entire track)'),
+      measure_end: z.number().int().min(1).optional().describe('End measure (omit for entire track)'),
+      mode: z.enum(['ramp', 'scale', 'compress', 'accent', 'set']).describe('"ramp" crescendo/diminuendo, "scale" multiply, "compress" narrow the range, "accent" boost beats, "set" fixed velocity'),
+      from: z.union([z.string(), z.number()]).optional().describe('ramp: starting level — ppp, pp, p, mp, mf, f, ff, fff, or 1-127'),
+      to: z.union([z.string(), z.number()]).optional().describe('ramp: ending level — ppp … fff or 1-127'),
+      curve: z.enum(['linear', 'exponential', 'logarithmic', 's_curve']).optional().describe('ramp: shape (default linear; exponential starts slowly, logarithmic starts quickly)'),
+      percent: z.number().min(0).optional().describe('scale: percent of current velocity (120 = 20% louder); compress: percent of the way toward the average'),
+      beats: z.array(z.number().min(1)).optional().describe('accent: 1-based beats within each measure (e.g. [1, 3])'),
+      amount: z.number().optional().describe('accent: velocity to add (default 15; negative softens)'),
+      value: z.union([z.string(), z.number()]).optional().describe('set: dynamic marking or velocity 1-127'),
+    },
+    async ({ alias, track, measure_start, measure_end, ...opts }) => {
+      const result = engine.shapeVelocity(alias, track, measure_start, measure_end, opts);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── list_controllers ─────────────────────────────────────────────────────
+  server.tool(
+    'list_controllers',
+    'List control-change (CC) and pitch-bend events — sustain pedal, modulation, volume, expression, pan, etc. — with measure/beat positions. CC values are 0-127; pitch bend is -8192..8191 (0 = center).',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      track: z.number().int().min(0).optional().describe('Track index (omit for all tracks)'),
+      controller: z.union([z.number().int().min(0).max(127), z.string()]).optional().describe('Only this controller: CC number, name (sustain, volume, expression, pan, modulation, …), or "pitch_bend"'),
+      measure_start: z.number().int().min(1).optional().describe('Start measure'),
+      measure_end: z.number().int().min(1).optional().describe('End measure'),
+    },
+    async ({ alias, track, controller, measure_start, measure_end }) => {
+      const result = engine.listControllers(alias, {
+        trackIndex: track,
+        controller,
+        measureStart: measure_start,
+        measureEnd: measure_end,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── add_controllers ──────────────────────────────────────────────────────
+  server.tool(
+    'add_controllers',
+    'Add control-change or pitch-bend events at measure/beat positions (e.g. sustain down at m5 b1 = value 127, up at m6 b1 = value 0). An event of the same controller at the same position is replaced.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      track: z.number().int().min(0).describe('Track index'),
+      events: z.array(z.object({
+        controller: z.union([z.number().int().min(0).max(127), z.string()]).describe('CC number, name (sustain, volume, expression, pan, modulation, …), or "pitch_bend"'),
+        measure: z.number().int().min(1).describe('Measure number (1-based)'),
+        beat: z.number().min(1).optional().describe('Beat within measure (1-based, can be fractional; default 1)'),
+        value: z.number().describe('CC value 0-127, or pitch bend -8192..8191'),
+      })).min(1).describe('Events to add'),
+    },
+    async ({ alias, track, events }) => {
+      const result = engine.addControllers(alias, track, events);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── delete_controllers ───────────────────────────────────────────────────
+  server.tool(
+    'delete_controllers',
+    'Delete control-change and pitch-bend events from a track, optionally only one controller and only within a measure range.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      track: z.number().int().min(0).describe('Track index'),
+      controller: z.union([z.number().int().min(0).max(127), z.string()]).optional().describe('Only this controller (omit for all controllers and pitch bend)'),
+      measure_start: z.number().int().min(1).optional().describe('Start measure (omit for entire track)'),
+      measure_end: z.number().int().min(1).optional().describe('End measure (omit for entire track)'),
+    },
+    async ({ alias, track, controller, measure_start, measure_end }) => {
+      const result = engine.deleteControllers(alias, track, {
+        controller,
+        measureStart: measure_start,
+        measureEnd: measure_end,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── ramp_controller ──────────────────────────────────────────────────────
+  server.tool(
+    'ramp_controller',
+    'Write a smooth controller or pitch-bend change between two measure/beat positions (e.g. fade CC11 from 127 to 40 over measures 30-32). Replaces that controller\'s events in the span.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      track: z.number().int().min(0).describe('Track index'),
+      controller: z.union([z.number().int().min(0).max(127), z.string()]).describe('CC number, name (volume, expression, modulation, …), or "pitch_bend"'),
+      from: z.number().describe('Starting value (CC 0-127, pitch bend -8192..8191)'),
+      to: z.number().describe('Ending value'),
+      start_measure: z.number().int().min(1).describe('Measure where the ramp starts'),
+      start_beat: z.number().min(1).optional().describe('Beat where the ramp starts (default 1)'),
+      end_measure: z.number().int().min(1).describe('Measure where the ramp ends'),
+      end_beat: z.number().min(1).optional().describe('Beat where the ramp ends (default 1)'),
+      step_beats: z.number().positive().optional().describe('Spacing between events in beats (default 0.25)'),
+      curve: z.enum(['linear', 'exponential', 'logarithmic', 's_curve']).optional().describe('Ramp shape (default linear)'),
+    },
+    async ({ alias, track, controller, from, to, start_measure, start_beat, end_measure, end_beat, step_beats, curve }) => {
+      const result = engine.rampController(alias, track, controller, from, to, {
+        startMeasure: start_measure,
+        startBeat: start_beat,
+        endMeasure: end_measure,
+        endBeat: end_beat,
+        stepBeats: step_beats,
+        curve,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── list_markers ───────────────────────────────────────────────────────
+  server.tool(
+    'list_markers',
+    'List marker, cue point, lyric, and text events with their measure, beat, and clock time. Lyrics show the track they belong to.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      types: z.array(z.enum(['marker', 'cue', 'lyric', 'text'])).optional().describe('Only these kinds (default all)'),
+      track: z.number().int().min(0).optional().describe('Only lyrics on this track'),
+      measure_start: z.union([z.number().int().min(1), z.string()]).optional().describe('Start measure or marker name'),
+      measure_end: z.union([z.number().int().min(1), z.string()]).optional().describe('End measure or marker name (through its section)'),
+    },
+    async ({ alias, types, track, measure_start, measure_end }) => {
+      const result = engine.listMarkers(alias, { types, trackIndex: track, measureStart: measure_start, measureEnd: measure_end });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── add_markers ────────────────────────────────────────────────────────
+  server.tool(
+    'add_markers',
+    'Add markers (section names like "Chorus"), cue points, lyrics, or text events at measure/beat positions or clock times. Lyrics given a track are saved on that track and shown on its notes; put each syllable on the note it is sung on.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      events: z.array(z.object({
+        type: z.enum(['marker', 'cue', 'lyric', 'text']).optional().describe('Kind of event (default marker)'),
+        text: z.string().describe('Marker name, cue, lyric syllable (e.g. "Hap-"), or text'),
+        measure: z.number().int().min(1).optional().describe('Measure (1-based)'),
+        beat: z.number().min(1).optional().describe('Beat within the measure (default 1)'),
+        time: z.string().optional().describe('Clock time instead of measure/beat: seconds, "1:23.5", or SMPTE'),
+        track: z.number().int().min(0).optional().describe('For lyrics: the track whose notes they go with'),
+      })).min(1).describe('Events to add'),
+    },
+    async ({ alias, events }) => {
+      const result = engine.addMarkers(alias, events);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── delete_markers ─────────────────────────────────────────────────────
+  server.tool(
+    'delete_markers',
+    'Delete marker, cue point, lyric, or text events matching every filter given: kinds, exact text, a track\'s lyrics, and a measure range. With no filters, all of them are deleted.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      types: z.array(z.enum(['marker', 'cue', 'lyric', 'text'])).optional().describe('Only these kinds (default all)'),
+      text: z.string().optional().describe('Only events with exactly this text'),
+      track: z.number().int().min(0).optional().describe('Only lyrics on this track'),
+      measure_start: z.union([z.number().int().min(1), z.string()]).optional().describe('Start measure or marker name'),
+      measure_end: z.union([z.number().int().min(1), z.string()]).optional().describe('End measure or marker name (through its section)'),
+    },
+    async ({ alias, types, text, track, measure_start, measure_end }) => {
+      const result = engine.deleteMarkers(alias, { types, text, trackIndex: track, measureStart: measure_start, measureEnd: measure_end });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── insert_measures ──────────────────────────────────────────────────────
+  server.tool(
+    'insert_measures',
+    'Insert empty measures before a measure, shifting all later notes, controllers, tempo, and time-signature events on every track. Inserted measures use the meter in effect just before the insertion point.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      at_measure: z.number().int().min(1).describe('Measure to insert before (1-based); its content moves right'),
+      count: z.number().int().min(1).optional().describe('Number of measures to insert (default 1)'),
+    },
+    async ({ alias, at_measure, count }) => {
+      const result = engine.insertMeasures(alias, at_measure, count ?? 1);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── remove_measures ──────────────────────────────────────────────────────
+  server.tool(
+    'remove_measures',
+    'Remove a range of measures from every track and close the gap, shifting everything after it earlier. Tempo and time signature after the cut are preserved.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      measure_start: z.number().int().min(1).describe('First measure to remove'),
+      measure_end: z.number().int().min(1).describe('Last measure to remove (inclusive)'),
+    },
+    async ({ alias, measure_start, measure_end }) => {
+      const result = engine.removeMeasures(alias, measure_start, measure_end);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── duplicate_measures ───────────────────────────────────────────────────
+  server.tool(
+    'duplicate_measures',
+    'Repeat a range of measures (all tracks, including tempo and time-signature changes) right after itself, shifting later content.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      measure_start: z.number().int().min(1).describe('First measure to duplicate'),
+      measure_end: z.number().int().min(1).describe('Last measure to duplicate (inclusive)'),
+      times: z.number().int().min(1).optional().describe('Number of copies to insert (default 1)'),
+    },
+    async ({ alias, measure_start, measure_end, times }) => {
+      const result = engine.duplicateMeasures(alias, measure_start, measure_end, times ?? 1);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── copy_measures ────────────────────────────────────────────────────────
+  server.tool(
+    'copy_measures',
+    'Copy notes from a measure range on one or more tracks to a track in the same or another loaded file. Supports repeats, transposition, and merge or replace at the target. Beat positions are kept when meters differ; overflowing notes are reported.',
+    {
+      source_alias: z.string().describe('Alias of the file to copy from'),
+      source_tracks: z.array(z.number().int().min(0)).min(1).optional().describe('Source track indexes (omit for all tracks)'),
+      measure_start: z.number().int().min(1).describe('First source measure'),
+      measure_end: z.number().int().min(1).describe('Last source measure (inclusive)'),
+      target_alias: z.string().optional().describe('Alias of the file to paste into (defaults to source_alias)'),
+      target_track: z.number().int().min(0).describe('Track index to paste into'),
+      target_measure: z.number().int().min(1).describe('Measure where the first copy starts'),
+      repeat: z.number().int().min(1).optional().describe('Number of back-to-back copies (default 1)'),
+      transpose: z.number().int().optional().describe('Semitones to transpose the copy by (default 0)'),
+      mode: z.enum(['merge', 'replace']).optional().describe('"merge" adds to existing notes (default); "replace" clears the target measures on the target track first'),
+    },
+    async ({ source_alias, source_tracks, measure_start, measure_end, target_alias, target_track, target_measure, repeat, transpose, mode }) => {
+      const result = engine.copyMeasures(
+        { alias: source_alias, tracks: source_tracks, measureStart: measure_start, measureEnd: measure_end },
+        { alias: target_alias ?? source_alias, track: target_track, measure: target_measure },
+        { repeat, transpose, mode },
+      );
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     },
   );
@@ -164,14 +810,17 @@ export async function startServer() {
   // ── set_tempo ────────────────────────────────────────────────────────────
   server.tool(
     'set_tempo',
-    'Set or change the tempo (BPM) at a specific tick position. Use tick 0 for the initial tempo.',
+    'Set or change the tempo (BPM) from a position on: a tick, a measure/beat, or a clock time. Use tick 0 (the default) for the initial tempo.',
     {
       alias: z.string().describe('Alias of the loaded MIDI file'),
       bpm: z.number().positive().describe('Tempo in beats per minute'),
       at_tick: z.number().int().min(0).optional().describe('Tick position (default 0)'),
+      measure: z.number().int().min(1).optional().describe('Measure to place it at, instead of at_tick'),
+      beat: z.number().min(1).optional().describe('Beat within that measure (default 1)'),
+      time: z.string().optional().describe('Clock time instead of at_tick: seconds ("83.5"), "1:23.5", or SMPTE "00:01:23:15" (30 fps)'),
     },
-    async ({ alias, bpm, at_tick }) => {
-      const result = engine.setTempo(alias, bpm, at_tick ?? 0);
+    async ({ alias, bpm, at_tick, measure, beat, time }) => {
+      const result = engine.setTempo(alias, bpm, { tick: at_tick, measure, beat, time });
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     },
   );
@@ -179,15 +828,36 @@ export async function startServer() {
   // ── set_time_signature ───────────────────────────────────────────────────
   server.tool(
     'set_time_signature',
-    'Set or change the time signature at a specific tick position. Use tick 0 for the initial time signature.',
+    'Set or change the time signature from a position on: a tick, the start of a measure, or the measure containing a clock time. Use tick 0 (the default) for the initial time signature.',
     {
       alias: z.string().describe('Alias of the loaded MIDI file'),
       numerator: z.number().int().min(1).describe('Beats per measure (e.g. 3, 4, 6)'),
       denominator: z.number().int().min(1).describe('Beat unit (e.g. 4 = quarter, 8 = eighth)'),
       at_tick: z.number().int().min(0).optional().describe('Tick position (default 0)'),
+      measure: z.number().int().min(1).optional().describe('Measure the new time signature starts at, instead of at_tick'),
+      time: z.string().optional().describe('Clock time instead of at_tick; the change starts at the measure containing it'),
+    },
+    async ({ alias, numerator, denominator, at_tick, measure, time }) => {
+      const result = engine.setTimeSignature(alias, numerator, denominator, { tick: at_tick, measure, time });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── set_key_signature ────────────────────────────────────────────────────
+  server.tool(
+    'set_key_signature',
+    'Set or change the key signature from a position on: a tick, a measure/beat, or a clock time. Note names in get_measures and search_notes are spelled from it.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      key: z.string().describe('Key tonic, optionally with mode (e.g. "Eb", "F# minor", "Am")'),
+      mode: z.enum(['major', 'minor']).optional().describe('Mode, if not given in key (default major)'),
+      at_tick: z.number().int().min(0).optional().describe('Tick position (default 0)'),
+      measure: z.number().int().min(1).optional().describe('Measure to place it at, instead of at_tick'),
+      beat: z.number().min(1).optional().describe('Beat within that measure (default 1)'),
+      time: z.string().optional().describe('Clock time instead of at_tick: seconds ("83.5"), "1:23.5", or SMPTE "00:01:23:15" (30 fps)'),
     },
-    async ({ alias, numerator, denominator, at_tick }) => {
-      const result = engine.setTimeSignature(alias, numerator, denominator, at_tick ?? 0);
+    async ({ alias, key, mode, at_tick, measure, beat, time }) => {
+      const result = engine.setKeySignature(alias, key, mode, { tick: at_tick, measure, beat, time });
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     },
   );
@@ -195,14 +865,15 @@ export async function startServer() {
   // ── add_track ────────────────────────────────────────────────────────────
   server.tool(
     'add_track',
-    'Add a new empty track to the MIDI file.',
+    'Add a new empty track to the MIDI file. Set drums=true for a General MIDI percussion track (channel 10), which accepts drum names like "kick" and "closed_hat".',
     {
       alias: z.string().describe('Alias of the loaded MIDI file'),
       name: z.string().optional().describe('Track name'),
-      instrument: z.number().int().min(0).max(127).optional().describe('General MIDI instrument number (0-127)'),
+      instrument: z.number().int().min(0).max(127).optional().describe('General MIDI instrument number (0-127); for drum tracks, the kit (0 = standard)'),
+      drums: z.boolean().optional().describe('Create a percussion track on channel 10'),
     },
-    async ({ alias, name, instrument }) => {
-      const result = engine.addTrack(alias, name, instrument);
+    async ({ alias, name, instrument, drums }) => {
+      const result = engine.addTrack(alias, name, instrument, drums ?? false);
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     },
   );
@@ -222,6 +893,39 @@ export async function startServer() {
     },
   );
 
+  // ── split_track ────────────────────────────────────────────────────────
+  server.tool(
+    'split_track',
+    'Split a track into new tracks that replace it: by a pitch split point, into right and left hands (follows each hand through the piece, better than a fixed split for piano), or by the MIDI channel notes came from. Controller events and the instrument go with each part. Later track indices move up.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      track: z.number().int().min(0).describe('Track index to split'),
+      by: z.enum(['pitch', 'hands', 'channel']).describe('"pitch": at split_point; "hands": right/left hand; "channel": one track per channel'),
+      split_point: z.string().optional().describe('For by="pitch": lowest note of the upper part (default "C4")'),
+      names: z.array(z.string()).optional().describe('Names for the new tracks, upper/right part first (default: track name plus "(upper)", "(right hand)", "(channel N)", …)'),
+    },
+    async ({ alias, track, by, split_point, names }) => {
+      const result = engine.splitTrack(alias, track, by, { splitPoint: split_point, names });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── merge_tracks ───────────────────────────────────────────────────────
+  server.tool(
+    'merge_tracks',
+    'Merge tracks into the first one listed, with their controller events; the others are removed. Notes remember their original channel so split_track by="channel" can undo the merge; set channel to move everything onto one channel instead.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      tracks: z.array(z.number().int().min(0)).min(2).describe('Track indices; the first keeps its place, name, and instrument'),
+      name: z.string().optional().describe('New name for the merged track'),
+      channel: z.number().int().min(0).max(15).optional().describe('Put the merged track on this channel (0-15 as in midi_info; 9 is drums)'),
+    },
+    async ({ alias, tracks, name, channel }) => {
+      const result = engine.mergeTracks(alias, tracks, { name, channel });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
   // ── create_midi ──────────────────────────────────────────────────────────
   server.tool(
     'create_midi',
@@ -254,6 +958,77 @@ export async function startServer() {
     },
   );
 
+  // ── import_abc ───────────────────────────────────────────────────────────
+  server.tool(
+    'import_abc',
+    'Create a MIDI in memory from ABC notation (text or a .abc file). Reads title, meter, unit length, tempo and key; notes, rests, ties, tuplets, chords and broken rhythms; plays out repeats and 1st/2nd endings. Each voice (V:) becomes a track.',
+    {
+      alias: z.string().describe('Alias for referencing the imported MIDI'),
+      abc: z.string().optional().describe('ABC tune text (give this or file_path)'),
+      file_path: z.string().optional().describe('Path to a .abc file'),
+      tune: z.number().int().optional().describe('X: number of the tune to import when the text holds several (default: the first)'),
+    },
+    async ({ alias, abc, file_path, tune }) => {
+      const result = await engine.importAbc(alias, { text: abc, filePath: file_path, tune });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── export_abc ───────────────────────────────────────────────────────────
+  server.tool(
+    'export_abc',
+    'Write tracks as ABC notation, following the file\'s time signatures, tempos and key signatures. Returns the text, or writes it to file_path.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      tracks: z.array(z.number().int().min(0)).optional().describe('Track indices to export (default: all tracks with notes)'),
+      file_path: z.string().optional().describe('Write the tune to this .abc file instead of returning it'),
+    },
+    async ({ alias, tracks, file_path }) => {
+      const result = await engine.exportAbc(alias, { tracks, filePath: file_path });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── export_musicxml ──────────────────────────────────────────────────────
+  server.tool(
+    'export_musicxml',
+    'Write tracks as a MusicXML score for notation software: one part per track, measures and meter changes from the time signatures, key signatures, tempo marks, spelled pitches, note values with ties across bar lines, chords, and extra voices for overlapping notes. Returns the XML, or writes it to file_path.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      tracks: z.array(z.number().int().min(0)).optional().describe('Track indices to export (default: all tracks with notes)'),
+      file_path: z.string().optional().describe('Write the score to this .musicxml file instead of returning it'),
+    },
+    async ({ alias, tracks, file_path }) => {
+      const result = await engine.exportMusicXml(alias, { tracks, filePath: file_path });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── render_audio ─────────────────────────────────────────────────────────
+  server.tool(
+    'render_audio',
+    'Render a loaded MIDI (or a measure range) to a stereo WAV file with a built-in synthesizer — no sound card or network needed. Follows the tempo map, velocities, sustain pedal, and track volume/pan. Use mute/solo to render stems.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      output_path: z.string().describe('Path of the .wav file to write'),
+      measure_start: z.number().int().min(1).optional().describe('First measure to render (default 1)'),
+      measure_end: z.number().int().min(1).optional().describe('Last measure to render, inclusive (default: the last measure)'),
+      mute: z.array(z.number().int().min(0)).optional().describe('Track indices to leave out'),
+      solo: z.array(z.number().int().min(0)).optional().describe('Render only these track indices'),
+      sample_rate: z.number().int().min(8000).max(96000).optional().describe('Sample rate in Hz (default 44100)'),
+    },
+    async ({ alias, output_path, measure_start, measure_end, mute, solo, sample_rate }) => {
+      const result = await engine.renderAudio(alias, output_path, {
+        measureStart: measure_start,
+        measureEnd: measure_end,
+        mute,
+        solo,
+        sampleRate: sample_rate,
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
   // ── list_loaded ──────────────────────────────────────────────────────────
   server.tool(
     'list_loaded',
@@ -278,6 +1053,47 @@ export async function startServer() {
     },
   );
 
+  // ── undo ─────────────────────────────────────────────────────────────────
+  server.tool(
+    'undo',
+    'Undo the most recent edit(s) on a loaded MIDI file. Edits can be redone until a new edit is made.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      steps: z.number().int().min(1).optional().describe('Number of edits to undo (default 1)'),
+    },
+    async ({ alias, steps }) => {
+      const result = engine.undo(alias, steps ?? 1);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── redo ─────────────────────────────────────────────────────────────────
+  server.tool(
+    'redo',
+    'Redo edit(s) previously reverted with undo.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+      steps: z.number().int().min(1).optional().describe('Number of edits to redo (default 1)'),
+    },
+    async ({ alias, steps }) => {
+      const result = engine.redo(alias, steps ?? 1);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
+  // ── history ──────────────────────────────────────────────────────────────
+  server.tool(
+    'history',
+    'List the edit history of a loaded MIDI file: applied edits (undoable) and undone edits (redoable), each with its arguments.',
+    {
+      alias: z.string().describe('Alias of the loaded MIDI file'),
+    },
+    async ({ alias }) => {
+      const result = engine.getHistory(alias);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    },
+  );
+
   // ── Connect ──────────────────────────────────────────────────────────────
   const transport = new StdioServerTransport();
   await server.connect(transport);
@@ -0,0 +1,222 @@
+/**
+ * A small offline software synthesizer: one oscillator/envelope patch per
+ * General MIDI family, a noise-and-sine drum kit, and a 16-bit WAV encoder.
+ * Pure sample math — nothing here knows about Midi objects; the engine turns
+ * ticks into seconds and controller events into automation.
+ */
+
+/**
+ * Patch per GM family (program / 8). Envelope: attack time, decay time
+ * constant toward the sustain level, and release time, all in seconds.
+ * `brightness` sets a one-pole low-pass at that multiple of the note's
+ * frequency (0 = no filter).
+ */
+const PATCHES = [
+  { wave: 'piano', attack: 0.004, decay: 0.9, sustain: 0.05, release: 0.25, brightness: 6 }, // piano
+  { wave: 'sine', attack: 0.002, decay: 0.5, sustain: 0, release: 0.3, brightness: 0 }, // chromatic percussion
+  { wave: 'organ', attack: 0.01, decay: 0.1, sustain: 0.9, release: 0.08, brightness: 0 }, // organ
+  { wave: 'triangle', attack: 0.003, decay: 0.7, sustain: 0, release: 0.15, brightness: 8 }, // guitar
+  { wave: 'triangle', attack: 0.005, decay: 0.8, sustain: 0.25, release: 0.1, brightness: 4 }, // bass
+  { wave: 'saw', attack: 0.08, decay: 0.3, sustain: 0.8, release: 0.25, brightness: 3 }, // strings
+  { wave: 'saw', attack: 0.12, decay: 0.4, sustain: 0.8, release: 0.3, brightness: 2.5 }, // ensemble
+  { wave: 'saw', attack: 0.04, decay: 0.2, sustain: 0.7, release: 0.1, brightness: 5 }, // brass
+  { wave: 'square', attack: 0.02, decay: 0.2, sustain: 0.75, release: 0.08, brightness: 4 }, // reed
+  { wave: 'sine', attack: 0.05, decay: 0.2, sustain: 0.85, release: 0.1, brightness: 0 }, // pipe
+  { wave: 'square', attack: 0.005, decay: 0.2, sustain: 0.7, release: 0.1, brightness: 8 }, // synth lead
+  { wave: 'saw', attack: 0.3, decay: 0.5, sustain: 0.8, release: 0.6, brightness: 2 }, // synth pad
+  { wave: 'triangle', attack: 0.1, decay: 0.5, sustain: 0.6, release: 0.5, brightness: 0 }, // synth effects
+  { wave: 'triangle', attack: 0.003, decay: 0.6, sustain: 0, release: 0.2, brightness: 6 }, // ethnic
+  { wave: 'sine', attack: 0.001, decay: 0.25, sustain: 0, release: 0.1, brightness: 0 }, // percussive
+  { wave: 'triangle', attack: 0.05, decay: 0.3, sustain: 0.5, release: 0.3, brightness: 0 }, // sound effects
+];
+
+/** Longest tail a note or drum hit can leave after its end, in seconds. */
+export const MAX_TAIL = 1.5;
+
+/** Overall level per voice at full velocity, leaving headroom for chords. */
+const VOICE_LEVEL = 0.2;
+
+const TWO_PI = 2 * Math.PI;
+
+function oscillator(wave, phase) {
+  const p = phase - Math.floor(phase);
+  switch (wave) {
+    case 'sine': return Math.sin(TWO_PI * p);
+    case 'triangle': return 1 - 4 * Math.abs(p - 0.5);
+    case 'square': return p < 0.5 ? 0.7 : -0.7;
+    case 'saw': return 2 * p - 1;
+    case 'organ': return (Math.sin(TWO_PI * p) + 0.5 * Math.sin(2 * TWO_PI * p) + 0.3 * Math.sin(3 * TWO_PI * p)
+      + 0.2 * Math.sin(4 * TWO_PI * p)) / 1.6;
+    case 'piano': return (Math.sin(TWO_PI * p) + 0.4 * Math.sin(2 * TWO_PI * p) + 0.15 * Math.sin(3 * TWO_PI * p)) / 1.3;
+    default: return Math.sin(TWO_PI * p);
+  }
+}
+
+/** Deterministic white noise, so renders are reproducible. */
+function noiseSource(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 31 - 1;
+  };
+}
+
+/**
+ * Render one pitched note into `buffer` (mono, starting at time 0).
+ */
+function renderNote(buffer, note, patch, sampleRate) {
+  const { attack, decay, sustain, release, brightness } = patch;
+  const frequency = 440 * 2 ** ((note.midi - 69) / 12);
+  const level = VOICE_LEVEL * note.velocity ** 1.5;
+  const first = Math.max(0, Math.round(note.start * sampleRate));
+  const held = Math.max(1, Math.round((note.end - note.start) * sampleRate));
+  const last = Math.min(buffer.length, first + held + Math.round(release * sampleRate));
+  // One-pole low-pass; a cutoff above Nyquist means no filtering
+  const cutoff = brightness ? Math.min(frequency * brightness, sampleRate * 0.45) : 0;
+  const alpha = cutoff ? 1 - Math.exp(-TWO_PI * cutoff / sampleRate) : 1;
+
+  let filtered = 0;
+  let releaseFrom = 0;
+  for (let i = first; i < last; i++) {
+    const t = (i - first) / sampleRate;
+    let env;
+    if (i - first < held) {
+      env = t < attack ? t / attack : sustain + (1 - sustain) * Math.exp(-(t - attack) / decay);
+      releaseFrom = env;
+    } else {
+      env = releaseFrom * (1 - (i - first - held) / (release * sampleRate));
+    }
+    filtered += alpha * (oscillator(patch.wave, t * frequency) - filtered);
+    buffer[i] += filtered * env * level;
+  }
+}
+
+/**
+ * Render one drum hit into `buffer`. Sounds are picked from the GM key:
+ * kicks and toms are falling sine sweeps, snares mix noise with a tone,
+ * hi-hats and cymbals are high-passed noise, anything else a short blip.
+ */
+function renderDrum(buffer, note, sampleRate, noise) {
+  const key = note.midi;
+  const level = VOICE_LEVEL * 1.5 * note.velocity ** 1.5;
+  const first = Math.max(0, Math.round(note.start * sampleRate));
+
+  let length;
+  let sample;
+  if (key === 35 || key === 36) {
+    length = 0.5;
+    let phase = 0;
+    sample = (t) => {
+      phase += (50 + 110 * Math.exp(-t / 0.04)) / sampleRate;
+      return Math.sin(TWO_PI * phase) * Math.exp(-t / 0.22);
+    };
+  } else if ([41, 43, 45, 47, 48, 50].includes(key)) {
+    length = 0.6;
+    const base = 80 * 2 ** ((key - 41) / 8);
+    let phase = 0;
+    sample = (t) => {
+      phase += base * (1 + 0.5 * Math.exp(-t / 0.05)) / sampleRate;
+      return Math.sin(TWO_PI * phase) * Math.exp(-t / 0.25);
+    };
+  } else if ([37, 38, 39, 40].includes(key)) {
+    const decay = key === 37 ? 0.03 : key === 39 ? 0.09 : 0.13;
+    length = decay * 5;
+    sample = (t) => {
+      const tone = key === 39 ? 0 : 0.5 * Math.sin(TWO_PI * 185 * t) * Math.exp(-t / 0.06);
+      return 0.8 * noise() * Math.exp(-t / decay) + tone;
+    };
+  } else if ([42, 44, 46, 49, 51, 52, 53, 55, 57, 59].includes(key)) {
+    const decay = { 42: 0.035, 44: 0.05, 46: 0.3, 51: 0.5, 53: 0.6, 59: 0.5 }[key] ?? 0.9;
+    length = Math.min(MAX_TAIL, decay * 5);
+    let low = 0;
+    sample = (t) => {
+      const n = noise();
+      low += 0.2 * (n - low);
+      return 0.6 * (n - low) * Math.exp(-t / decay);
+    };
+  } else {
+    length = 0.25;
+    const frequency = 440 * 2 ** ((key - 69) / 12);
+    sample = t => (0.6 * Math.sin(TWO_PI * frequency * t) + 0.3 * noise()) * Math.exp(-t / 0.06);
+  }
+
+  const last = Math.min(buffer.length, first + Math.round(length * sampleRate));
+  for (let i = first; i < last; i++) buffer[i] += sample((i - first) / sampleRate) * level;
+}
+
+/**
+ * Render a track's notes into a mono `buffer`. Notes are { start, end, midi,
+ * velocity } with times in seconds and velocity 0-1. Drum tracks play every
+ * note as a one-shot hit and ignore the note's length.
+ */
+export function renderTrack(buffer, notes, { sampleRate, program = 0, percussion = false, seed = 1 }) {
+  const patch = PATCHES[Math.floor(program / 8)] ?? PATCHES[0];
+  const noise = noiseSource(seed);
+  for (const note of notes) {
+    if (percussion) renderDrum(buffer, note, sampleRate, noise);
+    else renderNote(buffer, note, patch, sampleRate);
+  }
+}
+
+/** The value of a [{ time, value }] automation list at `time`. */
+function valueAt(list, time, fallback) {
+  let value = fallback;
+  for (const point of list) {
+    if (point.time <= time) value = point.value;
+    else break;
+  }
+  return value;
+}
+
+/**
+ * Add a mono track into the stereo mix, following its volume and pan
+ * automation ([{ time, value }] lists with values 0-1, pan 0.5 = centre).
+ * Gain follows the MIDI volume curve (value squared); pan is equal-power.
+ */
+export function mixTrack(left, right, mono, { sampleRate, volume = [], pan = [] }) {
+  const block = 128;
+  for (let from = 0; from < mono.length; from += block) {
+    const time = from / sampleRate;
+    const gain = valueAt(volume, time, 100 / 127) ** 2;
+    const angle = valueAt(pan, time, 0.5) * Math.PI / 2;
+    const l = gain * Math.cos(angle) * Math.SQRT2;
+    const r = gain * Math.sin(angle) * Math.SQRT2;
+    const to = Math.min(mono.length, from + block);
+    for (let i = from; i < to; i++) {
+      left[i] += mono[i] * l;
+      right[i] += mono[i] * r;
+    }
+  }
+}
+
+/**
+ * Encode a stereo mix as a 16-bit PCM WAV file. Mixes peaking above full
+ * scale are scaled down to fit. Returns { buffer, peak, normalized }.
+ */
+export function encodeWav(left, right, sampleRate) {
+  let peak = 0;
+  for (let i = 0; i < left.length; i++) peak = Math.max(peak, Math.abs(left[i]), Math.abs(right[i]));
+  const normalized = peak > 0.98;
+  const scale = normalized ? 0.98 / peak : 1;
+
+  const dataSize = left.length * 4;
+  const buffer = Buffer.alloc(44 + dataSize);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(2, 22); // stereo
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 4, 28);
+  buffer.writeUInt16LE(4, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(dataSize, 40);
+  for (let i = 0; i < left.length; i++) {
+    buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, left[i] * scale)) * 32767), 44 + i * 4);
+    buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, right[i] * scale)) * 32767), 46 + i * 4);
+  }
+  return { buffer, peak: Math.round(peak * 1000) / 1000, normalized };
+}
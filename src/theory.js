@@ -0,0 +1,499 @@
+/**
+ * Music theory helpers: pitch spelling, keys, and key estimation.
+ * Pure functions — nothing here knows about Midi objects or loaded files.
+ */
+
+/** Major key names indexed by number of fifths + 7 (Cb = 7 flats … C# = 7 sharps). */
+export const MAJOR_KEYS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+
+/** Minor key names indexed by number of fifths + 7. */
+export const MINOR_KEYS = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+
+export const SCALES = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+};
+
+/** Every scale that diatonic transposition and mode conversion understand. */
+export const MODE_SCALES = {
+  ...SCALES,
+  ionian: [0, 2, 4, 5, 7, 9, 11],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  phrygian: [0, 1, 3, 5, 7, 8, 10],
+  lydian: [0, 2, 4, 6, 7, 9, 11],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+  aeolian: [0, 2, 3, 5, 7, 8, 10],
+  locrian: [0, 1, 3, 5, 6, 8, 10],
+  harmonic_minor: [0, 2, 3, 5, 7, 8, 11],
+  melodic_minor: [0, 2, 3, 5, 7, 9, 11],
+};
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Krumhansl–Kessler key profiles
+const PROFILES = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17],
+};
+
+function mod12(n) {
+  return ((n % 12) + 12) % 12;
+}
+
+function accidentalString(acc) {
+  return acc >= 0 ? '#'.repeat(acc) : 'b'.repeat(-acc);
+}
+
+/**
+ * Parse a pitch-class name such as "C", "F#", "Bb" or "Ebb" into 0-11.
+ */
+export function parsePitchClass(name) {
+  const match = String(name).trim().match(/^([A-Ga-g])(#{0,2}|b{0,2})$/);
+  if (!match) throw new Error(`Invalid pitch class: "${name}". Use a letter with optional accidental, e.g. C, F#, Bb.`);
+  const [, letter, accidental] = match;
+  const acc = accidental.split('').reduce((sum, ch) => sum + (ch === '#' ? 1 : -1), 0);
+  return mod12(LETTER_PC[letter.toUpperCase()] + acc);
+}
+
+/**
+ * Normalize a tonic name to the canonical form used in the key tables ("eb" → "Eb").
+ */
+function normalizeTonic(tonic) {
+  const t = String(tonic).trim();
+  return t.charAt(0).toUpperCase() + t.slice(1);
+}
+
+/**
+ * Number of sharps (positive) or flats (negative) in a key signature.
+ * Throws for keys that have no standard signature (e.g. "D# major").
+ */
+export function keyFifths(tonic, mode) {
+  const table = mode === 'minor' ? MINOR_KEYS : MAJOR_KEYS;
+  const index = table.indexOf(normalizeTonic(tonic));
+  if (index === -1) {
+    throw new Error(`"${tonic} ${mode}" has no standard key signature. Valid ${mode} keys: ${table.join(', ')}.`);
+  }
+  return index - 7;
+}
+
+/**
+ * Parse "Eb", "Eb major", "c minor", "F#m" into { tonic, mode }.
+ */
+export function parseKey(text, mode) {
+  const match = String(text).trim().match(/^([A-Ga-g](?:#|b)?)\s*(m|min|minor|maj|major)?$/i);
+  if (!match) throw new Error(`Invalid key: "${text}". Use e.g. "Eb", "F# minor", "Am".`);
+  const [, tonic, quality] = match;
+  const resolved = quality ? (/^m(in(or)?)?$/i.test(quality) ? 'minor' : 'major') : (mode || 'major');
+  const key = { tonic: normalizeTonic(tonic), mode: resolved };
+  keyFifths(key.tonic, key.mode); // validate
+  return key;
+}
+
+/**
+ * Parse a scale such as "D dorian", "F# harmonic minor", "Am" or "Bb" (major
+ * by default) into { tonic, mode, steps }.
+ */
+export function parseScale(text) {
+  const match = String(text).trim().match(/^([A-Ga-g](?:#|b)?)\s*(.*)$/);
+  if (!match) throw new Error(`Invalid scale: "${text}". Use e.g. "C major", "D dorian", "A harmonic minor".`);
+  const [, tonic, rest] = match;
+  parsePitchClass(tonic);
+  const mode = normalizeMode(rest || 'major');
+  return { tonic: normalizeTonic(tonic), mode, steps: MODE_SCALES[mode] };
+}
+
+/**
+ * Resolve a mode name ("Dorian", "m", "harmonic minor") to a MODE_SCALES key.
+ */
+export function normalizeMode(name) {
+  const n = String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const mode = { m: 'minor', min: 'minor', maj: 'major' }[n] || n;
+  if (!MODE_SCALES[mode]) {
+    throw new Error(`Unknown mode "${name}". Known: ${Object.keys(MODE_SCALES).join(', ')}.`);
+  }
+  return mode;
+}
+
+export function formatKey(key) {
+  return `${key.tonic} ${key.mode}`;
+}
+
+/**
+ * Spell the seven scale degrees of a key: [{ letter, acc, pc }].
+ */
+export function scaleSpelling(key) {
+  const tonicLetter = normalizeTonic(key.tonic).charAt(0);
+  const tonicPc = parsePitchClass(key.tonic);
+  const steps = SCALES[key.mode] || SCALES.major;
+  const start = LETTERS.indexOf(tonicLetter);
+  return steps.map((step, i) => {
+    const letter = LETTERS[(start + i) % 7];
+    const pc = mod12(tonicPc + step);
+    const acc = mod12(pc - LETTER_PC[letter] + 6) - 6;
+    return { letter, acc, pc };
+  });
+}
+
+/** Conventional chromatic degrees (semitones above the tonic) per mode. */
+const CHROMATIC_DEGREES = {
+  major: { 1: 'bII', 3: 'bIII', 6: '#IV', 8: 'bVI', 10: 'bVII' },
+  minor: { 1: 'bII', 4: '#III', 6: '#IV' },
+};
+
+const NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+/**
+ * Build a pitch-class → spelled name table for a key. Diatonic notes use the
+ * scale's letters; in minor the raised 6th and 7th do too (F# and G# in A
+ * minor); the remaining chromatic notes are spelled as the altered degree in
+ * CHROMATIC_DEGREES (Ab as bVI in C major, not G#).
+ */
+function spellingTable(key) {
+  const fifths = keyFifths(key.tonic, key.mode);
+  const table = (fifths < 0 ? FLAT_NAMES : SHARP_NAMES).slice();
+  const scale = scaleSpelling(key);
+  const tonic = parsePitchClass(key.tonic);
+  const alter = ({ letter, acc }, by) => {
+    const name = letter + accidentalString(acc + by);
+    // Double accidentals read badly, and so do Fb/Cb/E#/B# outside the keys
+    // whose scales already use them; keep the plain enharmonic for those
+    if (Math.abs(acc + by) > 1) return null;
+    if (['Fb', 'Cb', 'E#', 'B#'].includes(name) && Math.abs(fifths) < 6) return null;
+    return name;
+  };
+
+  for (const [degreePc, label] of Object.entries(CHROMATIC_DEGREES[key.mode] || {})) {
+    const degree = NUMERALS.indexOf(label.slice(1));
+    const name = alter(scale[degree], label[0] === '#' ? 1 : -1);
+    if (name) table[mod12(tonic + Number(degreePc))] = name;
+  }
+  if (key.mode === 'minor') {
+    for (const degree of [5, 6]) {
+      const name = alter(scale[degree], 1);
+      if (name) table[mod12(scale[degree].pc + 1)] = name;
+    }
+  }
+  for (const { letter, acc, pc } of scale) table[pc] = letter + accidentalString(acc);
+  return table;
+}
+
+const spellingCache = new Map();
+
+/**
+ * Spell a MIDI note number in scientific pitch notation for a key, e.g.
+ * spellMidi(63, { tonic: 'Eb', mode: 'major' }) → "Eb4". Without a key,
+ * falls back to sharps.
+ */
+export function spellMidi(midi, key) {
+  let name;
+  if (key) {
+    const cacheKey = formatKey(key);
+    if (!spellingCache.has(cacheKey)) spellingCache.set(cacheKey, spellingTable(key));
+    name = spellingCache.get(cacheKey)[mod12(midi)];
+  } else {
+    name = SHARP_NAMES[mod12(midi)];
+  }
+  // Octave follows the letter, so B#3 and Cb4 land on the right side of C
+  const acc = name.slice(1).split('').reduce((sum, ch) => sum + (ch === '#' ? 1 : -1), 0);
+  const octave = Math.floor((midi - acc) / 12) - 1;
+  return `${name}${octave}`;
+}
+
+/**
+ * Spell a pitch class (0-11) for a key, without octave.
+ */
+export function spellPitchClass(pc, key) {
+  return spellMidi(60 + mod12(pc), key).replace(/-?\d+$/, '');
+}
+
+/**
+ * The conventional name for a key with the given tonic pitch class: the one
+ * with fewer accidentals, ties going to F# major and Eb minor.
+ */
+export function keyForTonic(pc, mode) {
+  const table = mode === 'minor' ? MINOR_KEYS : MAJOR_KEYS;
+  let best = null;
+  table.forEach((name, i) => {
+    if (parsePitchClass(name) !== pc) return;
+    const fifths = i - 7;
+    if (!best || Math.abs(fifths) < Math.abs(best.fifths)
+        || (Math.abs(fifths) === Math.abs(best.fifths) && (mode === 'minor' ? fifths < 0 : fifths > 0))) {
+      best = { name, fifths };
+    }
+  });
+  return { tonic: best.name, mode };
+}
+
+function correlation(a, b) {
+  const mean = v => v.reduce((s, x) => s + x, 0) / v.length;
+  const ma = mean(a), mb = mean(b);
+  let num = 0, da = 0, db = 0;
+  for (let i = 0; i < a.length; i++) {
+    num += (a[i] - ma) * (b[i] - mb);
+    da += (a[i] - ma) ** 2;
+    db += (b[i] - mb) ** 2;
+  }
+  return da && db ? num / Math.sqrt(da * db) : 0;
+}
+
+/**
+ * Estimate the key from a 12-bin pitch-class weight histogram using the
+ * Krumhansl–Schmuckler algorithm. Returns all 24 keys ranked by correlation.
+ */
+export function estimateKey(weights) {
+  const ranked = [];
+  for (const mode of ['major', 'minor']) {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const rotated = weights.map((_, i) => weights[mod12(i + tonic)]);
+      ranked.push({ ...keyForTonic(tonic, mode), score: correlation(rotated, PROFILES[mode]) });
+    }
+  }
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+// ── Chords ───────────────────────────────────────────────────────────────────
+
+/**
+ * Chord qualities as [symbol suffix, intervals above the root]. Simpler chords
+ * come first and win ties.
+ */
+export const CHORD_QUALITIES = [
+  ['', [0, 4, 7]],
+  ['m', [0, 3, 7]],
+  ['dim', [0, 3, 6]],
+  ['aug', [0, 4, 8]],
+  ['sus4', [0, 5, 7]],
+  ['sus2', [0, 2, 7]],
+  ['5', [0, 7]],
+  ['7', [0, 4, 7, 10]],
+  ['maj7', [0, 4, 7, 11]],
+  ['m7', [0, 3, 7, 10]],
+  ['m7b5', [0, 3, 6, 10]],
+  ['dim7', [0, 3, 6, 9]],
+  ['mMaj7', [0, 3, 7, 11]],
+  ['6', [0, 4, 7, 9]],
+  ['m6', [0, 3, 7, 9]],
+  ['7sus4', [0, 5, 7, 10]],
+  ['add9', [0, 4, 7, 14]],
+  ['madd9', [0, 3, 7, 14]],
+  ['9', [0, 4, 7, 10, 14]],
+  ['maj9', [0, 4, 7, 11, 14]],
+  ['m9', [0, 3, 7, 10, 14]],
+];
+
+const SEVENTH_QUALITIES = new Set(['7', 'maj7', 'm7', 'm7b5', 'dim7', 'mMaj7', '7sus4']);
+const MINOR_QUALITIES = new Set(['m', 'dim', 'm7', 'm7b5', 'dim7', 'mMaj7', 'm6', 'madd9', 'm9']);
+
+/**
+ * Identify the chord formed by a set of pitch classes.
+ * `pcs` is an array of pitch classes, `bass` the lowest one.
+ * Returns { root, quality, intervals, inversion } or null when fewer than two
+ * distinct pitch classes are given. Intervals are in stacked-thirds order
+ * (9ths as 14), and `inversion` is the index of the bass among them: 0 for
+ * root position, 1 with the third in the bass, and so on; null when the bass
+ * is not a chord tone.
+ */
+export function identifyChord(pcs, bass) {
+  const present = new Set(pcs.map(mod12));
+  if (present.size < 2) return null;
+
+  let best = null;
+  for (const root of present) {
+    for (const [quality, intervals] of CHORD_QUALITIES) {
+      const tones = intervals.map(i => mod12(root + i));
+      let score = 0;
+      for (const [i, tone] of tones.entries()) {
+        if (present.has(tone)) score += 1;
+        // A missing fifth is common in voicings; anything else is not
+        else score -= intervals[i] === 7 ? 0.25 : 1;
+      }
+      for (const pc of present) {
+        if (!tones.includes(pc)) score -= 1;
+      }
+      if (root === mod12(bass)) score += 0.5;
+      if (!best || score > best.score) best = { root, quality, intervals, score };
+    }
+  }
+
+  const inversion = best.intervals.findIndex(i => mod12(best.root + i) === mod12(bass));
+  return {
+    root: best.root,
+    quality: best.quality,
+    intervals: best.intervals,
+    inversion: inversion === -1 ? null : inversion,
+  };
+}
+
+/**
+ * Chord symbol such as "Cmaj7/E" or "F#m7b5", spelled for a key when given.
+ */
+export function chordSymbol(chord, bass, key) {
+  const name = spellPitchClass(chord.root, key) + chord.quality;
+  return mod12(bass) === chord.root ? name : `${name}/${spellPitchClass(bass, key)}`;
+}
+
+/**
+ * Roman-numeral reading of a chord in a key, e.g. "V65", "viiø7", "bVI".
+ * Triad inversions use 6 / 64 and seventh chords 7 / 65 / 43 / 42.
+ */
+export function romanNumeral(chord, key) {
+  const degreePc = mod12(chord.root - parsePitchClass(key.tonic));
+  const scale = SCALES[key.mode];
+  let numeral;
+  if (scale.includes(degreePc)) {
+    numeral = NUMERALS[scale.indexOf(degreePc)];
+  } else if (key.mode === 'minor' && (degreePc === 9 || degreePc === 11)) {
+    // Raised 6th and 7th of melodic/harmonic minor keep their degree number
+    numeral = NUMERALS[degreePc === 9 ? 5 : 6];
+  } else {
+    numeral = CHROMATIC_DEGREES[key.mode][degreePc];
+  }
+  if (MINOR_QUALITIES.has(chord.quality)) numeral = numeral.toLowerCase();
+
+  const inv = chord.inversion ?? 0;
+  if (SEVENTH_QUALITIES.has(chord.quality)) {
+    const marker = { maj7: 'maj', m7b5: 'ø', dim7: '°', mMaj7: 'maj', '7sus4': 'sus' }[chord.quality] || '';
+    return numeral + marker + ['7', '65', '43', '42'][inv];
+  }
+  if (['', 'm', 'dim', 'aug'].includes(chord.quality)) {
+    const marker = { dim: '°', aug: '+' }[chord.quality] || '';
+    return numeral + marker + (['', '6', '64'][inv] || '');
+  }
+  // Added-tone and suspended chords: keep the symbol suffix, minus the minor "m"
+  return numeral + chord.quality.replace(/^m(?!aj)/, '');
+}
+
+/** Alternative spellings of chord-symbol suffixes, mapped to CHORD_QUALITIES names. */
+const QUALITY_ALIASES = {
+  M: '', maj: '', major: '',
+  min: 'm', '-': 'm', minor: 'm',
+  o: 'dim', '°': 'dim',
+  '+': 'aug',
+  sus: 'sus4',
+  dom7: '7',
+  M7: 'maj7', Maj7: 'maj7', 'Δ': 'maj7', 'Δ7': 'maj7',
+  min7: 'm7', '-7': 'm7',
+  'ø': 'm7b5', 'ø7': 'm7b5', 'm7(b5)': 'm7b5', '-7b5': 'm7b5',
+  o7: 'dim7', '°7': 'dim7',
+  mM7: 'mMaj7', mmaj7: 'mMaj7', 'm(maj7)': 'mMaj7',
+  min6: 'm6', '-6': 'm6',
+  add2: 'add9',
+  M9: 'maj9', Maj9: 'maj9', 'Δ9': 'maj9',
+  min9: 'm9', '-9': 'm9',
+};
+
+/**
+ * Parse a chord symbol such as "C7", "F#m7b5", "Bbmaj7/D" or "Ebø".
+ * Returns { root, quality, intervals, bass } with pitch classes for root and
+ * bass (bass is null without a slash).
+ */
+export function parseChordSymbol(symbol) {
+  const match = String(symbol).trim().match(/^([A-Ga-g](?:#|b)?)(.*?)(?:\/([A-Ga-g](?:#|b)?))?$/);
+  if (!match) throw new Error(`Invalid chord symbol: "${symbol}".`);
+  const [, rootName, suffix, bassName] = match;
+  const quality = QUALITY_ALIASES[suffix] ?? suffix;
+  const entry = CHORD_QUALITIES.find(([q]) => q === quality);
+  if (!entry) {
+    throw new Error(`Unknown chord quality "${suffix}" in "${symbol}". Known: ${CHORD_QUALITIES.map(([q]) => q || '(major)').join(', ')}.`);
+  }
+  return {
+    root: parsePitchClass(rootName),
+    quality,
+    intervals: entry[1],
+    bass: bassName ? parsePitchClass(bassName) : null,
+  };
+}
+
+/**
+ * Voice a parsed chord as ascending MIDI note numbers.
+ * - close: chord tones stacked within the smallest span
+ * - drop2: close voicing with the second voice from the top dropped an octave
+ * - open: root and fifth below, third and upper tones an octave up
+ * - shell: root, seventh (or sixth/fifth) and the third an octave up
+ * `rootMidi` places the root; `inversion` rotates the lowest tones up an
+ * octave before the voicing is applied. A slash bass goes below everything.
+ */
+export function voiceChord(chord, { rootMidi, voicing = 'close', inversion = 0 }) {
+  let tones = chord.intervals.map(i => rootMidi + i);
+
+  if (voicing === 'shell') {
+    const third = chord.intervals.find(i => i >= 2 && i <= 5);
+    const upper = chord.intervals.find(i => i >= 9 && i <= 11) ?? chord.intervals.find(i => i >= 6 && i <= 8);
+    // Power chords have no third to put on top
+    tones = [0, upper, third === undefined ? undefined : third + 12].filter(i => i !== undefined).map(i => rootMidi + i);
+  } else {
+    // Close position: fold ninths down into the octave, then invert
+    tones = [...new Set(tones.map(t => (t - rootMidi >= 12 ? t - 12 : t)))].sort((a, b) => a - b);
+    if (inversion >= tones.length) {
+      throw new Error(`Inversion ${inversion} is out of range for a ${tones.length}-note chord.`);
+    }
+    for (let i = 0; i < inversion; i++) tones.push(tones.shift() + 12);
+
+    if (voicing === 'drop2' && tones.length >= 3) {
+      const [dropped] = tones.splice(tones.length - 2, 1);
+      tones.unshift(dropped - 12);
+    } else if (voicing === 'open' && tones.length >= 3) {
+      // Lift every other voice from the bottom (the 2nd, 4th, …) an octave
+      tones = tones.map((t, i) => (i % 2 === 1 ? t + 12 : t));
+    }
+  }
+
+  tones.sort((a, b) => a - b);
+  if (chord.bass !== null && chord.bass !== undefined && mod12(tones[0]) !== chord.bass) {
+    let bass = tones[0] - mod12(tones[0] - chord.bass);
+    if (bass === tones[0]) bass -= 12;
+    tones.unshift(bass);
+  }
+  return tones;
+}
+
+// ── Scale degrees ────────────────────────────────────────────────────────────
+
+/**
+ * Locate a MIDI note in a scale as an absolute degree (7 per octave, counted
+ * from the tonic) plus a chromatic offset. Notes outside the scale are read as
+ * the scale degree just below them, raised by `offset` semitones.
+ */
+export function toScaleDegree(midi, tonicPc, steps) {
+  const rel = midi - tonicPc;
+  const octave = Math.floor(rel / 12);
+  const r = mod12(rel);
+  let index = 0;
+  for (let i = 0; i < steps.length; i++) {
+    if (steps[i] <= r) index = i;
+  }
+  return { degree: octave * steps.length + index, offset: r - steps[index] };
+}
+
+/**
+ * Inverse of toScaleDegree.
+ */
+export function fromScaleDegree(degree, offset, tonicPc, steps) {
+  const octave = Math.floor(degree / steps.length);
+  const index = degree - octave * steps.length;
+  return tonicPc + octave * 12 + steps[index] + offset;
+}
+
+// ── Dynamics ─────────────────────────────────────────────────────────────────
+
+/** MIDI velocity for each dynamic marking. */
+export const DYNAMICS = {
+  ppp: 16, pp: 33, p: 49, mp: 64, mf: 80, f: 96, ff: 112, fff: 127,
+};
+
+/**
+ * Read a dynamic level given as a marking ("mf") or a velocity (1-127).
+ */
+export function parseDynamic(level) {
+  if (typeof level === 'number') {
+    if (level < 1 || level > 127) throw new Error(`Velocity ${level} is out of range 1-127.`);
+    return Math.round(level);
+  }
+  const text = String(level).trim().toLowerCase();
+  if (DYNAMICS[text] !== undefined) return DYNAMICS[text];
+  if (/^\d+$/.test(text)) return parseDynamic(Number(text));
+  throw new Error(`Unknown dynamic "${level}". Use ppp, pp, p, mp, mf, f, ff, fff, or a velocity 1-127.`);
+}
@@ -0,0 +1,52 @@
+/**
+ * Clock times: parsing and formatting seconds as m:ss.mmm timestamps and
+ * SMPTE hh:mm:ss:ff timecode. Pure functions — the engine maps seconds to
+ * ticks through the tempo map.
+ */
+
+/** SMPTE frame rates supported (non-drop-frame). */
+export const SMPTE_RATES = [24, 25, 30];
+
+/**
+ * Read a time as seconds: a number, "83.5", "1:23.5" (m:ss), "1:02:03.25"
+ * (h:mm:ss), or SMPTE "00:01:23:12" (hh:mm:ss:ff at `fps` frames per second).
+ */
+export function parseTimestamp(value, fps = 30) {
+  if (typeof value === 'number') {
+    if (!(value >= 0)) throw new Error(`Invalid time ${value}; times start at 0.`);
+    return value;
+  }
+  const text = String(value).trim();
+  const parts = text.split(':');
+  const valid = parts.every((p, i) => (i === parts.length - 1 ? /^\d+(\.\d+)?$/ : /^\d+$/).test(p));
+  if (!valid || parts.length > 4) {
+    throw new Error(`Invalid time "${value}". Use seconds (83.5), m:ss.ms (1:23.5), h:mm:ss.ms, or SMPTE hh:mm:ss:ff.`);
+  }
+  const n = parts.map(Number);
+  if (parts.length === 4) {
+    if (!SMPTE_RATES.includes(fps)) throw new Error(`Unsupported SMPTE rate ${fps}; use ${SMPTE_RATES.join(', ')}.`);
+    if (n[3] >= fps) throw new Error(`Frame ${n[3]} is out of range at ${fps} fps.`);
+    return n[0] * 3600 + n[1] * 60 + n[2] + n[3] / fps;
+  }
+  return n.reduce((total, part) => total * 60 + part, 0);
+}
+
+/** Format seconds as "m:ss.mmm", or "h:mm:ss.mmm" from an hour on. */
+export function formatTimestamp(seconds) {
+  const millis = Math.round(seconds * 1000);
+  const h = Math.floor(millis / 3600000);
+  const m = Math.floor(millis / 60000) % 60;
+  const s = (millis % 60000) / 1000;
+  const ss = s.toFixed(3).padStart(6, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+
+/** Format seconds as SMPTE "hh:mm:ss:ff", rounding down to the frame. */
+export function formatSmpte(seconds, fps = 30) {
+  const frames = Math.floor(seconds * fps + 1e-6);
+  const ff = frames % fps;
+  const total = Math.floor(frames / fps);
+  return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60, ff]
+    .map(n => String(n).padStart(2, '0'))
+    .join(':');
+}